@@ -2,6 +2,7 @@
  import MindMapEditor from './components/MindMapEditor';
 
  import MindMapPage from './components/MindMapPage';
+import ThemeProvider from './components/ThemeProvider';
  
 // This is the data from the screenshot (or generated by your AI)
 const problemSolvingData = {
@@ -20,10 +21,12 @@ const problemSolvingData = {
 
 function App() {
     return (
-        <div>
-            <h1>Interactive Mind Map Editor</h1>
-           <MindMapPage />
-        </div>
+        <ThemeProvider>
+            <div>
+                <h1>Interactive Mind Map Editor</h1>
+                <MindMapPage />
+            </div>
+        </ThemeProvider>
     );
 }
 
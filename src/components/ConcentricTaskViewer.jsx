@@ -1,150 +1,513 @@
 // --- START OF FILE ConcentricTaskViewer.jsx (Final, Robust Version) ---
 
 import React, { useState, useMemo, useCallback, useRef, useEffect } from 'react';
+import useHistory, { getHistoryShortcut } from '../hooks/useHistory';
+import useViewport from '../hooks/useViewport';
+import usePointerGestures from '../hooks/usePointerGestures';
+import useTheme from '../hooks/useTheme';
+import Toolbar, { ToolbarButton } from './Toolbar';
+import ExportImageButton from './ExportImageButton';
+import Minimap from './Minimap';
+import ViewportControls from './ViewportControls';
+import TaskDetailPanel from './TaskDetailPanel';
+import ScheduleReport, { ScheduleMarker } from './ScheduleReport';
+import { ThemeSelect } from './ThemeProvider';
+import { findNode, findLocation, getDropRefusal, moveNode, updateNode, mergePatch } from '../utils/tree';
+import { resolveNodeStyles } from '../utils/nodeStyle';
+import { computeConcentricLayout, concentricConnectorPath, getConcentricDropTarget, polarPoint } from '../layouts/concentric';
+import { DEFAULT_DAILY_CAPACITY, checkSchedule } from '../utils/schedule';
+import { PROGRESS_STEP, computeProgress, cycleStatus, describeProgressPatch, getStatus, stepProgress, withoutFinished } from '../utils/progress';
 
 // --- Constants ---
-const CIRCLE_RADII = [120, 283, 510, 737];
-const BAR_HEIGHT = 22;
 const ROOT_FONT_SIZE = 20;
+const MAX_FONT_SIZE = 13;
+const FIELD_HEIGHT = 22; // Text field while editing, however thin the bar
+const DEGREES = 180 / Math.PI;
+const GHOST_WIDTH = 180;
+const GHOST_HEIGHT = 22;
+const NOTICE_DURATION_MS = 3000;
 
-// --- Helper Functions ---
-const findNode = (node, id) => {
-    if (!node || !id) return null;
-    if (node.id === id) return node;
-    const children = node.children || [];
-    for (const child of children) {
-        const found = findNode(child, id);
-        if (found) return found;
-    }
-    return null;
+// Circles behind the rings, from the outside in. Colors come from
+// `theme.wheel.rings` (listed outside in) so that the centre disc takes the
+// last one, and deeper rings start over.
+const getRingItems = (layout, theme) => {
+    const palette = theme.wheel.rings;
+    const edges = [layout.centreRadius, ...layout.rings.map(ring => ring.outer)];
+    return edges.map((radius, level) => ({
+        id: level, x: 0, y: 0, width: radius * 2, height: radius * 2, shape: 'circle',
+        fill: palette[(((palette.length - 1 - level) % palette.length) + palette.length) % palette.length],
+    })).reverse();
 };
 
-// --- TaskBar Sub-Component (No changes needed) ---
-const TaskBar = React.memo(({ task, x, y, width, height, isEditing, isSelected, editedText, onTextChange, onTextBlur, onDoubleClick, onClick }) => {
-    const barColor = ['#ff8a80', '#ffd700', '#cce5ff'][task.level - 1] || '#d6d8db';
+// `text` shortened with an ellipsis to about `width` at `fontSize`
+const fitText = (text, width, fontSize) => {
+    const maxChars = Math.max(1, Math.floor(width / (fontSize * 0.55)));
+    return text.length > maxChars ? `${text.slice(0, maxChars - 1)}…` : text;
+};
+
+const visuallyHidden = {
+    position: 'absolute', width: '1px', height: '1px', margin: '-1px', padding: 0, border: 0,
+    overflow: 'hidden', clip: 'rect(0 0 0 0)', whiteSpace: 'nowrap',
+};
+
+// --- TaskBar Sub-Component ---
+// One `treeitem` of the flat ARIA tree; only the `isFocusable` bar is in the tab order.
+// Drawn across its ring at `bar.angle` (see layouts/concentric.js); bars on
+// the left half turn their text around so it never reads upside down.
+// Colored by the task's resolved `nodeStyle`; bars keep their shape whatever
+// the node's `shape` field says. `dropState` is 'inside' or 'refused' while a
+// dragged task hovers over the bar, and `problems` put a schedule warning on
+// its outer end. A tracked task (see utils/progress.js) fills its bar from the
+// inner end to its `progress` and shows its status symbol before the text.
+const TaskBar = React.memo(({ task, bar, nodeStyle, theme, isEditing, isSelected, isFocusable, isDragged, dropState, problems, progress, treeInfo, editedText, onTextChange, onTextBlur, onTextCancel, onDoubleClick, onClick, onFocus }) => {
+    const { angle, inner, height } = bar;
+    const width = bar.outer - bar.inner;
+    const textTransform = Math.cos(angle / DEGREES) < 0 ? `rotate(180 ${inner + width / 2} 0)` : undefined;
+    const fontSize = Math.min(MAX_FONT_SIZE, height * 0.7);
+    const status = progress?.isTracked ? getStatus(task.status ?? 'todo') : null;
+    const label = [status?.symbol, nodeStyle.icon, task.text].filter(Boolean).join(' ');
+    const stroke = dropState === 'refused' ? theme.refused : (dropState ? theme.drop : (isSelected ? theme.accent : nodeStyle.stroke));
 
     return (
-        <g transform={`translate(0, ${y})`} onClick={() => onClick(task.id)} onDoubleClick={() => onDoubleClick(task.id)}>
+        <g
+            transform={`rotate(${angle})`} onClick={() => onClick(task.id)} onDoubleClick={() => onDoubleClick(task.id)}
+            className="task-item" role="treeitem" data-node-id={task.id} tabIndex={isFocusable ? 0 : -1} aria-label={task.text}
+            aria-level={bar.level} aria-posinset={treeInfo?.posInSet} aria-setsize={treeInfo?.setSize} aria-selected={isSelected}
+            onFocus={(e) => { if (e.target === e.currentTarget) onFocus(task.id); }} opacity={isDragged ? 0.4 : undefined}
+        >
+            <title>{status ? `${task.text} (${status.label}, ${Math.round(progress.progress)}% complete)` : task.text}</title>
+            <rect x={inner - 3} y={-height / 2 - 3} width={width + 6} height={height + 6} className="task-focus-ring" data-export="ignore" />
             {isEditing ? (
-                 <foreignObject x={x} y="0" width={width} height={height}>
+                 <foreignObject x={inner} y={-FIELD_HEIGHT / 2} width={width} height={FIELD_HEIGHT} transform={textTransform}>
                      <div xmlns="http://www.w3.org/1999/xhtml" className="task-form">
-                        <input type="text" value={editedText} onChange={onTextChange} onBlur={onTextBlur} autoFocus onKeyDown={(e) => { if (e.key === 'Enter') onTextBlur(); }} />
+                        <input
+                            type="text" value={editedText} onChange={onTextChange} onBlur={onTextBlur} autoFocus aria-label="Task text"
+                            onKeyDown={(e) => {
+                                if (e.key === 'Enter') onTextBlur();
+                                if (e.key === 'Escape') { e.preventDefault(); onTextCancel(); }
+                            }}
+                        />
                     </div>
                 </foreignObject>
             ) : (
                 <>
-                    <rect x={x} y="0" width={width} height={height} fill={barColor} stroke={isSelected ? '#007bff' : '#333'} strokeWidth="1" style={{ cursor: 'pointer' }} />
-                    <text x={x + 10} y={height / 2} dy=".35em" fill="#000" style={{ pointerEvents: 'none', userSelect: 'none', fontSize: '13px' }}>
-                        {task.text}
+                    <rect x={inner} y={-height / 2} width={width} height={height} fill={nodeStyle.fill} stroke={stroke} strokeWidth={dropState ? 3 : (isSelected ? 2 : 1)} style={{ cursor: 'pointer' }} />
+                    {status && progress.progress > 0 && (
+                        <rect x={inner} y={-height / 2} width={width * progress.progress / 100} height={height} fill={nodeStyle.line} opacity="0.45" style={{ pointerEvents: 'none' }} />
+                    )}
+                    <text
+                        x={inner + 10} y="0" dy=".35em" transform={textTransform} fill={nodeStyle.textColor} fontWeight={nodeStyle.fontWeight}
+                        style={{ pointerEvents: 'none', userSelect: 'none', fontSize: `${fontSize}px` }}
+                    >
+                        {fitText(label, width - 14, fontSize)}
                     </text>
                 </>
             )}
-        </g>
-    );
-});
-
-// --- TaskGroup Sub-Component (SIMPLIFIED - NO LONGER RECURSIVE) ---
-const TaskGroup = React.memo(({ tasks, level, rotation, editingState, selectionState, eventHandlers }) => {
-    const baseRadius = CIRCLE_RADII[level - 1];
-    const outerRadius = CIRCLE_RADII[level] || (baseRadius + 200);
-    const barWidth = outerRadius - baseRadius;
-    const totalGroupHeight = tasks.length * BAR_HEIGHT;
-    const startY = -totalGroupHeight / 2;
-
-    return (
-        <g transform={`rotate(${rotation})`}>
-            {tasks.map((task, index) => (
-                <TaskBar
-                    key={task.id}
-                    task={task}
-                    x={baseRadius}
-                    y={startY + index * BAR_HEIGHT}
-                    width={barWidth}
-                    height={BAR_HEIGHT}
-                    isEditing={editingState.editingId === task.id}
-                    isSelected={selectionState.selectedId === task.id}
-                    editedText={editingState.editedText}
-                    {...eventHandlers}
-                />
-            ))}
+            {problems && (
+                // Turned back upright around its centre
+                <g transform={`rotate(${-angle} ${bar.outer} 0)`}>
+                    <ScheduleMarker problems={problems} theme={theme} x={bar.outer} y={0} />
+                </g>
+            )}
         </g>
     );
 });
 
 // --- Main ConcentricTaskViewer Component ---
-export default function ConcentricTaskViewer({ initialData, groupedTasks }) {
-    const [data, setData] = useState(initialData);
-    const [viewBox, setViewBox] = useState({ x: -800, y: -800, width: 1600, height: 1600 });
+// `onChange(nextTree, change)` reports edits. A new `initialData` replaces the
+// tree (and its undo history) unless it is the tree this viewer just reported.
+// `theme`, the detail panel, the schedule warnings, `dailyCapacity` and the
+// status and progress keys (S, [ and ]) work as in MindMapEditor; "Hide done"
+// leaves finished tasks off the rings.
+//
+// Every level of the tree gets a ring, sized to its number of tasks, with
+// each task next to its parent and connectors between them (see
+// layouts/concentric.js). Dragging a bar onto another bar moves the task
+// into it, onto the free part of a ring next to the nearest bar there, and
+// onto the centre disc to the top level; edits come back as
+// `{ type: 'move', nodeId, fromParentId, fromIndex, toParentId, toIndex, targetId, position }`.
+export default function ConcentricTaskViewer({ initialData, historyLimit, theme: themeProp, dailyCapacity = DEFAULT_DAILY_CAPACITY, onChange }) {
+    const history = useHistory(initialData, { limit: historyLimit });
+    const { present: data, set: setData, reset: resetHistory } = history;
     const [selectedId, setSelectedId] = useState(null);
     const [editingId, setEditingId] = useState(null);
     const [editedText, setEditedText] = useState('');
+    const [announcement, setAnnouncement] = useState(''); // Live region for screen readers
+    const [isDetailPanelOpen, setIsDetailPanelOpen] = useState(false);
+    const [isScheduleReportOpen, setIsScheduleReportOpen] = useState(false);
+    const [capacity, setCapacity] = useState(dailyCapacity);
+    const [isHidingFinished, setIsHidingFinished] = useState(false);
+    const [notice, setNotice] = useState(null);
+    // Task being dragged with the pointer position, and where it would land
+    const [drag, setDrag] = useState(null);
+    const [drop, setDrop] = useState(null);
+
+    const { theme, setTheme } = useTheme(themeProp);
+    const nodeStyles = useMemo(() => resolveNodeStyles(data, theme), [data, theme]);
+    const progress = useMemo(() => computeProgress(data), [data]);
+    const viewTree = useMemo(() => (data && isHidingFinished ? withoutFinished(data, progress) : data), [data, progress, isHidingFinished]);
+    const layout = useMemo(() => computeConcentricLayout(viewTree), [viewTree]);
+    const ringItems = useMemo(() => getRingItems(layout, theme), [layout, theme]);
+    const { radius } = layout;
+    const contentBounds = useMemo(() => ({ x: -radius, y: -radius, width: radius * 2, height: radius * 2 }), [radius]);
+    const schedule = useMemo(() => checkSchedule(data, { dailyCapacity: capacity }), [data, capacity]);
+    const minimapColors = useMemo(() => ({ ...theme.minimap, viewport: theme.accent }), [theme]);
     
-    const [rotations] = useState({ 1: -13.51, 2: -3.43, 3: -1.87 });
-    
-    const interactionRef = useRef({ type: 'none', startPos: { x: 0, y: 0 } });
+    const lastPointerTypeRef = useRef('mouse');
+    const [isPanning, setIsPanning] = useState(false);
     const svgRef = useRef(null);
+    const viewport = useViewport(svgRef);
+    const { viewBox, fitBounds, zoomBy, panBy, handleWheel, cancelAnimation } = viewport;
+    const contentRef = useRef(null);
+    const containerRef = useRef(null);
+    const reportedDataRef = useRef(initialData);
+    const cancelledEditRef = useRef(false);
+
+    // Fit the wheel into view when it is first shown and when another document
+    // arrives; edits keep the user's pan and zoom (the Fit button re-fits)
+    const fitDocumentRef = useRef(initialData);
+    useEffect(() => {
+        if (initialData === reportedDataRef.current) return;
+        fitDocumentRef.current = initialData;
+        resetHistory(initialData);
+    }, [initialData, resetHistory]);
+    useEffect(() => {
+        if (fitDocumentRef.current === null || data !== fitDocumentRef.current) return;
+        fitDocumentRef.current = null;
+        fitBounds(contentBounds, { animate: false });
+    }, [data, contentBounds, fitBounds]);
+
+    // Transient messages, e.g. why a drop was refused
+    useEffect(() => {
+        if (!notice) return;
+        const timer = setTimeout(() => setNotice(null), NOTICE_DURATION_MS);
+        return () => clearTimeout(timer);
+    }, [notice]);
 
-    useEffect(() => { setData(initialData); }, [initialData]);
+    const report = useCallback((nextData, change) => {
+        reportedDataRef.current = nextData;
+        onChange?.(nextData, change);
+    }, [onChange]);
 
     const handleTextBlur = useCallback(() => {
-        if (!editingId) return;
+        if (!editingId || cancelledEditRef.current) return;
         const node = findNode(data, editingId);
         if(node && node.text !== editedText) {
-            setData(prev => {
-                const update = n => n.id === editingId ? { ...n, text: editedText } : { ...n, children: (n.children || []).map(update) };
-                return update(prev);
-            });
+            const nextData = updateNode(data, editingId, { text: editedText });
+            setData(nextData);
+            setAnnouncement(`Renamed to "${editedText}".`);
+            report(nextData, { type: 'text', nodeId: editingId, previousText: node.text, text: editedText });
         }
         setEditingId(null);
-    }, [editingId, editedText, data]);
-    
-    // ... (All other handlers: handleBackgroundMouseDown, handleMouseMove, handleMouseUp, handleWheel are unchanged) ...
-    const handleBackgroundMouseDown = (e) => { handleTextBlur(); setSelectedId(null); interactionRef.current = { type: 'pan', startPos: { x: e.clientX, y: e.clientY } }; };
-    const handleMouseMove = useCallback((e) => { const { type, startPos } = interactionRef.current; const svg = svgRef.current; if (!svg || type !== 'pan') return; const dx = e.clientX - startPos.x; const dy = e.clientY - startPos.y; const scale = viewBox.width / svg.clientWidth; setViewBox(prev => ({ ...prev, x: prev.x - dx * scale, y: prev.y - dy * scale })); interactionRef.current.startPos = { x: e.clientX, y: e.clientY }; }, [viewBox]);
-    const handleMouseUp = useCallback(() => { interactionRef.current = { type: 'none' }; }, []);
-    const handleWheel = useCallback((e) => { e.preventDefault(); const svg = svgRef.current; if (!svg) return; const { clientX, clientY } = e; const { top, left, width, height } = svg.getBoundingClientRect(); const mouseX = viewBox.x + (clientX - left) * (viewBox.width / width); const mouseY = viewBox.y + (clientY - top) * (viewBox.height / height); const zoomFactor = 1.1; const newWidth = e.deltaY < 0 ? viewBox.width / zoomFactor : viewBox.width * zoomFactor; const newHeight = e.deltaY < 0 ? viewBox.height / zoomFactor : viewBox.height * zoomFactor; setViewBox({ x: mouseX - (clientX - left) * (newWidth / width), y: mouseY - (clientY - top) * (newHeight / height), width: newWidth, height: newHeight }); }, [viewBox]);
+    }, [editingId, editedText, data, setData, report]);
 
+    // Detail panel edits, reported like MindMapEditor's
+    const updateDetails = useCallback((nodeId, patch, historyOptions) => {
+        const node = findNode(data, nodeId);
+        if (!node) return;
+        const isRename = 'text' in patch;
+        const nextData = updateNode(data, nodeId, isRename ? { text: patch.text } : mergePatch(patch));
+        setData(nextData, historyOptions);
+        setAnnouncement(isRename ? `Renamed to "${patch.text}".` : describeProgressPatch(node.text, patch) ?? `Updated the details of "${node.text}".`);
+        report(nextData, isRename ? { type: 'text', nodeId, previousText: node.text, text: patch.text } : { type: 'details', nodeId, patch });
+    }, [data, setData, report]);
 
-    const handleNodeDoubleClick = useCallback((nodeId) => {
+    // Status and progress keys; a parent's progress comes from its children
+    const cycleTaskStatus = useCallback((nodeId) => {
         const node = findNode(data, nodeId);
-        if (node) {
-            setEditingId(nodeId);
-            setEditedText(node.text);
-            setSelectedId(nodeId);
+        if (node) updateDetails(nodeId, cycleStatus(node));
+    }, [data, updateDetails]);
+
+    const stepTaskProgress = useCallback((nodeId, delta) => {
+        const node = findNode(data, nodeId);
+        if (!node) return;
+        if (node.children?.length) {
+            setNotice(`The progress of "${node.text}" comes from its tasks.`);
+            return;
         }
+        const patch = stepProgress(node, delta);
+        if (patch) updateDetails(nodeId, patch, { group: `progress:${nodeId}` });
+    }, [data, updateDetails]);
+
+    // Escape; a blur from the disappearing input must not save the text after all
+    const handleTextCancel = useCallback(() => {
+        cancelledEditRef.current = true;
+        setEditingId(null);
+    }, []);
+
+    const startEditing = useCallback((nodeId) => {
+        const node = findNode(data, nodeId);
+        if (!node) return;
+        cancelledEditRef.current = false;
+        setEditingId(nodeId);
+        setEditedText(node.text);
+        setSelectedId(nodeId);
     }, [data]);
+
+    const moveTask = useCallback((nodeId, targetId, position) => {
+        const nextData = moveNode(data, nodeId, targetId, position);
+        if (nextData === data) return;
+        const from = findLocation(data, nodeId);
+        const to = findLocation(nextData, nodeId);
+        setData(nextData);
+        const name = (id) => findNode(nextData, id)?.text;
+        setAnnouncement(`Moved "${name(nodeId)}" ${position === 'inside' ? 'into' : position} "${name(targetId)}".`);
+        report(nextData, { type: 'move', nodeId, fromParentId: from?.parentId, fromIndex: from?.index, toParentId: to?.parentId, toIndex: to?.index, targetId, position });
+    }, [data, setData, report]);
+
+    const handleUndo = useCallback(() => { if (!history.canUndo) return; history.undo(); setAnnouncement('Undone.'); report(history.previous, { type: 'undo' }); }, [history, report]);
+    const handleRedo = useCallback(() => { if (!history.canRedo) return; history.redo(); setAnnouncement('Redone.'); report(history.next, { type: 'redo' }); }, [history, report]);
+
+    // --- Keyboard navigation ---
+    // Task ids of the rings from the inside out, each in clockwise order
+    const rings = useMemo(() => layout.rings.map(ring => ring.taskIds), [layout]);
+
+    // Up/Down: neighbouring bar on the same ring (anticlockwise / clockwise).
+    // Left/Right: the parent on the ring inside, or the first child on the
+    // ring outside.
+    const getNavigationTarget = useCallback((fromId, key) => {
+        const bar = layout.bars.get(fromId);
+        if (!bar) return rings[0]?.[0] ?? null;
+        const ring = rings[bar.level - 1];
+        const index = ring.indexOf(fromId);
+        if (key === 'ArrowUp') return ring[index - 1] ?? null;
+        if (key === 'ArrowDown') return ring[index + 1] ?? null;
+        if (key === 'ArrowLeft') return layout.bars.has(bar.parentId) ? bar.parentId : null;
+        if (key === 'ArrowRight') return bar.node.children?.[0]?.id ?? null;
+        return null;
+    }, [layout, rings]);
+
+    // Position of each task among its siblings, for the ARIA tree
+    const treeInfo = useMemo(() => {
+        const info = new Map();
+        const visit = (node) => (node.children || []).forEach((child, index, siblings) => {
+            info.set(child.id, { posInSet: index + 1, setSize: siblings.length });
+            visit(child);
+        });
+        if (viewTree) visit(viewTree);
+        return info;
+    }, [viewTree]);
+
+    // The one bar in the tab order: the selected one, else the first
+    const focusableId = selectedId ?? rings[0]?.[0] ?? null;
+
+    // Keyboard focus follows the selection unless it is in a toolbar field
+    useEffect(() => {
+        const container = containerRef.current;
+        if (!container || editingId || !selectedId) return;
+        const active = document.activeElement;
+        if (active && active !== document.body && active !== container && active.getAttribute('role') !== 'treeitem') return;
+        const element = Array.from(container.querySelectorAll('[role="treeitem"]')).find(el => el.getAttribute('data-node-id') === selectedId);
+        if (element && element !== active) element.focus({ preventScroll: true });
+    }, [selectedId, editingId]);
     
-    const editingState = useMemo(() => ({ editingId, editedText }), [editingId, editedText]);
-    const selectionState = useMemo(() => ({ selectedId }), [selectedId]);
-    const eventHandlers = useMemo(() => ({ onTextChange: (e) => setEditedText(e.target.value), onTextBlur: handleTextBlur, onDoubleClick: handleNodeDoubleClick, onClick: setSelectedId }), [handleTextBlur, handleNodeDoubleClick]);
+    // --- Pointer gestures ---
+    // A one-pointer drag on the background pans and two fingers pinch-zoom.
+    // A mouse or pen drags a bar right away, a finger only after a long press
+    // and pans across bars otherwise. Bars are selected by their click events;
+    // a tap on the background clears the selection. Mice double-click a bar
+    // to edit it, pens and fingers double-tap it.
+    const toSvgPoint = useCallback((e) => {
+        const svg = svgRef.current;
+        const CTM = svg?.getScreenCTM()?.inverse();
+        if (!CTM) return null;
+        const svgPoint = svg.createSVGPoint();
+        svgPoint.x = e.clientX;
+        svgPoint.y = e.clientY;
+        return svgPoint.matrixTransform(CTM);
+    }, []);
+
+    const draggedNode = useMemo(() => (drag ? findNode(data, drag.nodeId) : null), [drag, data]);
+    const dropRefusal = useMemo(() => (draggedNode && drop ? getDropRefusal([draggedNode], drop.targetId) : null), [draggedNode, drop]);
+
+    const pointerHandlers = usePointerGestures({
+        onPress: (e) => {
+            lastPointerTypeRef.current = e.pointerType || 'mouse';
+            if (e.button !== 0 || e.target.closest?.('input')) return null;
+            handleTextBlur();
+            cancelAnimation();
+            return { taskId: e.target.closest?.('[data-node-id]')?.getAttribute('data-node-id') ?? null };
+        },
+        onTap: ({ target, tapCount, pointerType }) => {
+            if (!target.taskId) setSelectedId(null);
+            else if (tapCount === 2 && pointerType !== 'mouse') startEditing(target.taskId);
+        },
+        onLongPress: ({ target }) => { if (target.taskId) setSelectedId(target.taskId); },
+        // What a drag does is decided once it starts, and kept on its target
+        onDragStart: (gesture, e) => {
+            const { target } = gesture;
+            target.action = target.taskId && (gesture.pointerType !== 'touch' || gesture.afterLongPress) ? 'move' : 'pan';
+            if (target.action === 'move') {
+                const point = toSvgPoint(e);
+                setSelectedId(target.taskId);
+                if (point) setDrag({ nodeId: target.taskId, x: point.x, y: point.y });
+            } else {
+                setIsPanning(true);
+            }
+        },
+        onDragMove: ({ target, dx, dy }, e) => {
+            if (target.action === 'pan') {
+                panBy(dx, dy);
+                return;
+            }
+            const point = toSvgPoint(e);
+            if (!point) return;
+            setDrag({ nodeId: target.taskId, x: point.x, y: point.y });
+            setDrop(getConcentricDropTarget(layout, point, [target.taskId]));
+        },
+        // The drop is worked out again from the release point, so it does not
+        // depend on the last move having been rendered
+        onDragEnd: ({ target }, e, { cancelled }) => {
+            const point = cancelled ? null : toSvgPoint(e);
+            const dropTarget = target.action === 'move' && point ? getConcentricDropTarget(layout, point, [target.taskId]) : null;
+            if (dropTarget) {
+                const refusal = getDropRefusal([findNode(data, target.taskId)].filter(Boolean), dropTarget.targetId);
+                if (refusal) setNotice(refusal);
+                else moveTask(target.taskId, dropTarget.targetId, dropTarget.position);
+            }
+            setIsPanning(false);
+            setDrag(null);
+            setDrop(null);
+        },
+        onPinch: ({ scale, centre, dx, dy }) => {
+            panBy(dx, dy);
+            zoomBy(scale, centre);
+        },
+    });
+
+    // Insertion marker beside the target bar, on the side the task would go
+    const dropMarker = useMemo(() => {
+        if (!drop || dropRefusal || drop.position === 'inside') return null;
+        const bar = layout.bars.get(drop.targetId);
+        if (!bar) return null;
+        const offset = (drop.position === 'after' ? 1 : -1) * (bar.height / 2 + 4);
+        return { angle: bar.angle, x1: bar.inner, x2: bar.outer, y: offset };
+    }, [drop, dropRefusal, layout]);
+
+    const handleKeyDown = useCallback((e) => {
+        const shortcut = getHistoryShortcut(e);
+        if (shortcut) {
+            e.preventDefault();
+            if (shortcut === 'undo') handleUndo(); else handleRedo();
+            return;
+        }
+        if (editingId || e.target.closest?.('input, textarea, button, select')) return;
+        if (e.key.startsWith('Arrow')) {
+            e.preventDefault();
+            const targetId = selectedId ? getNavigationTarget(selectedId, e.key) : focusableId;
+            if (targetId) setSelectedId(targetId);
+        } else if (e.key === 'Escape') {
+            setSelectedId(null);
+        } else if (selectedId && (e.key === 'F2' || e.key === 'Enter')) {
+            e.preventDefault();
+            startEditing(selectedId);
+        } else if (selectedId && !e.ctrlKey && !e.metaKey && !e.altKey && e.key.toLowerCase() === 's') {
+            e.preventDefault();
+            cycleTaskStatus(selectedId);
+        } else if (selectedId && (e.key === '[' || e.key === ']')) {
+            e.preventDefault();
+            stepTaskProgress(selectedId, e.key === ']' ? PROGRESS_STEP : -PROGRESS_STEP);
+        }
+    }, [handleUndo, handleRedo, editingId, selectedId, focusableId, getNavigationTarget, startEditing, cycleTaskStatus, stepTaskProgress]);
+
+
+    const selectedNode = useMemo(() => findNode(data, selectedId), [data, selectedId]);
+
+    // From the schedule report: selects the task and centres on its bar
+    const showTask = useCallback((nodeId) => {
+        const bar = layout.bars.get(nodeId);
+        setSelectedId(nodeId);
+        if (bar) viewport.centerOn(polarPoint((bar.inner + bar.outer) / 2, bar.angle));
+    }, [layout, viewport]);
+    const eventHandlers = useMemo(() => ({
+        onTextChange: (e) => setEditedText(e.target.value), onTextBlur: handleTextBlur, onTextCancel: handleTextCancel,
+        onDoubleClick: (taskId) => { if (lastPointerTypeRef.current === 'mouse') startEditing(taskId); },
+        onClick: setSelectedId,
+        // Tabbing in selects the bar that receives the focus
+        onFocus: (taskId) => setSelectedId(prev => prev ?? taskId),
+    }), [handleTextBlur, handleTextCancel, startEditing]);
 
     return (
-        <div onMouseMove={handleMouseMove} onMouseUp={handleMouseUp} onMouseLeave={handleMouseUp} style={{backgroundColor: '#fff'}}>
-            <svg ref={svgRef} width="100%" height="90vh" viewBox={`${viewBox.x} ${viewBox.y} ${viewBox.width} ${viewBox.height}`} onMouseDown={handleBackgroundMouseDown} onWheel={handleWheel} style={{ cursor: interactionRef.current.type === 'pan' ? 'grabbing' : 'grab', border: '1px solid #ccc', userSelect: 'none' }}>
-                <defs><style>{`.task-form input { width: 100%; height: 100%; box-sizing: border-box; border: 1px solid #007bff; font-family: sans-serif; font-size: 13px; padding-left: 10px; }`}</style></defs>
-                <g>
-                    {CIRCLE_RADII.slice().reverse().map((radius, index) => ( <circle key={radius} cx="0" cy="0" r={radius} fill={['#555555', '#777777', '#999999', '#eeeeee'][index]} stroke="#ffffff" strokeWidth="2" /> ))}
-                    <foreignObject x={-CIRCLE_RADII[0]} y={-CIRCLE_RADII[0]} width={CIRCLE_RADII[0] * 2} height={CIRCLE_RADII[0] * 2}>
-                        <div xmlns="http://www.w3.org/1999/xhtml" style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', height: '100%', textAlign: 'center', fontSize: `${ROOT_FONT_SIZE}px`, fontWeight: 'bold' }}> {data?.text} </div>
-                    </foreignObject>
-                    
-                    {/* NEW, SIMPLIFIED RENDER LOOP */}
-                    {Object.keys(groupedTasks).sort().map(levelStr => {
-                        const level = parseInt(levelStr, 10);
-                        return (
-                             <TaskGroup
-                                key={level}
-                                tasks={groupedTasks[level]}
-                                level={level}
-                                rotation={rotations[level] || 0}
-                                editingState={editingState}
-                                selectionState={selectionState}
-                                eventHandlers={eventHandlers}
-                            />
-                        )
-                    })}
-                </g>
-            </svg>
+        <div onKeyDown={handleKeyDown} tabIndex={0} ref={containerRef} style={{ backgroundColor: theme.canvas, outline: 'none' }}>
+            <Toolbar>
+                <ToolbarButton onClick={handleUndo} disabled={!history.canUndo} title="Undo (Ctrl+Z)">↶ Undo</ToolbarButton>
+                <ToolbarButton onClick={handleRedo} disabled={!history.canRedo} title="Redo (Ctrl+Shift+Z)">↷ Redo</ToolbarButton>
+                <ToolbarButton onClick={() => setIsDetailPanelOpen(open => !open)} disabled={!selectedNode} title="Date, hours and other details of the selected task">Details…</ToolbarButton>
+                <ToolbarButton onClick={() => setIsScheduleReportOpen(open => !open)} disabled={!data} title="Over-full days, overlapping times and dates outside the parent's">
+                    Schedule{schedule.problems.length > 0 ? ` (${schedule.problems.length})` : ''}
+                </ToolbarButton>
+                <label style={{ fontSize: '14px' }} title="Hide tasks that are done">
+                    <input type="checkbox" checked={isHidingFinished} onChange={(e) => setIsHidingFinished(e.target.checked)} /> Hide done
+                </label>
+                <ViewportControls viewport={viewport} contentBounds={contentBounds} />
+                <ThemeSelect value={theme.id} onChange={setTheme} />
+                <ExportImageButton svgRef={svgRef} contentRef={contentRef} fileName={data?.text || 'task-wheel'} background={theme.canvas} />
+                <span role="status" aria-live="polite" style={{ color: theme.refused, fontSize: '14px' }}>{notice}</span>
+            </Toolbar>
+            <div style={{ display: 'flex', alignItems: 'flex-start', gap: '8px' }}>
+                <div style={{ position: 'relative', flex: 1, minWidth: 0 }}>
+                    <svg ref={svgRef} width="100%" height="90vh" viewBox={`${viewBox.x} ${viewBox.y} ${viewBox.width} ${viewBox.height}`} {...pointerHandlers} onWheel={handleWheel}
+                        style={{ cursor: drag ? (dropRefusal ? 'no-drop' : 'move') : (isPanning ? 'grabbing' : 'grab'), border: `1px solid ${theme.border}`, userSelect: 'none', WebkitUserSelect: 'none', WebkitTouchCallout: 'none', touchAction: 'none' }}
+                    >
+                        <defs><style>{`.task-form input { width: 100%; height: 100%; box-sizing: border-box; border: 1px solid ${theme.accent}; background: ${theme.field.fill}; color: ${theme.field.text}; font-family: sans-serif; font-size: 13px; padding-left: 10px; } .task-item { outline: none; } .task-focus-ring { fill: none; stroke: ${theme.focusRing}; stroke-width: 3; visibility: hidden; pointer-events: none; } .task-item:focus-visible > .task-focus-ring { visibility: visible; }`}</style></defs>
+                        <g ref={contentRef} role="tree" aria-label={data?.text || 'Task wheel'}>
+                            {ringItems.map(ring => <circle key={ring.id} cx="0" cy="0" r={ring.width / 2} fill={ring.fill} stroke={theme.wheel.ringStroke} strokeWidth="2" />)}
+                            <foreignObject x={-layout.centreRadius} y={-layout.centreRadius} width={layout.centreRadius * 2} height={layout.centreRadius * 2}>
+                                <div xmlns="http://www.w3.org/1999/xhtml" style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', height: '100%', textAlign: 'center', fontSize: `${ROOT_FONT_SIZE}px`, fontWeight: 'bold', color: theme.wheel.centerText }}> {data?.text} </div>
+                            </foreignObject>
+                            {drop?.targetId === layout.rootId && (
+                                <circle cx="0" cy="0" r={layout.centreRadius - 2} fill="none" stroke={theme.drop} strokeWidth="4" style={{ pointerEvents: 'none' }} data-export="ignore" />
+                            )}
+                            {/* Connectors first, so the bars cover their ends */}
+                            {Array.from(layout.bars, ([id, bar]) => {
+                                const parentBar = layout.bars.get(bar.parentId);
+                                return parentBar && <path key={`link-${id}`} d={concentricConnectorPath(parentBar, bar)} fill="none" stroke={nodeStyles.get(id)?.line} strokeWidth="1.5" />;
+                            })}
+                            {rings.flat().map(id => {
+                                const bar = layout.bars.get(id);
+                                return (
+                                    <TaskBar
+                                        key={id} task={bar.node} bar={bar} nodeStyle={nodeStyles.get(id)} theme={theme}
+                                        isEditing={editingId === id} isSelected={selectedId === id} isFocusable={focusableId === id} isDragged={drag?.nodeId === id}
+                                        dropState={drop?.targetId === id && drop.position === 'inside' ? (dropRefusal ? 'refused' : 'inside') : null} problems={schedule.byNode.get(id)} progress={progress.get(id)} treeInfo={treeInfo.get(id)} editedText={editingId === id ? editedText : undefined} {...eventHandlers}
+                                    />
+                                );
+                            })}
+                            {dropMarker && (
+                                <line
+                                    transform={`rotate(${dropMarker.angle})`} x1={dropMarker.x1} y1={dropMarker.y} x2={dropMarker.x2} y2={dropMarker.y}
+                                    stroke={theme.drop} strokeWidth="4" strokeLinecap="round" style={{ pointerEvents: 'none' }} data-export="ignore"
+                                />
+                            )}
+                            {drag && draggedNode && (
+                                <g transform={`translate(${drag.x}, ${drag.y})`} style={{ pointerEvents: 'none', opacity: 0.7 }} data-export="ignore">
+                                    <rect
+                                        x={-GHOST_WIDTH / 2} y={-GHOST_HEIGHT / 2} width={GHOST_WIDTH} height={GHOST_HEIGHT}
+                                        fill={dropRefusal ? theme.ghost.refusedFill : theme.ghost.fill} stroke={dropRefusal ? theme.refused : theme.accent} strokeWidth="2"
+                                    />
+                                    <text x={-GHOST_WIDTH / 2 + 10} y="0" dy=".35em" fill={theme.field.text} style={{ fontSize: `${MAX_FONT_SIZE}px` }}>
+                                        {fitText(draggedNode.text, GHOST_WIDTH - 14, MAX_FONT_SIZE)}
+                                    </text>
+                                </g>
+                            )}
+                        </g>
+                    </svg>
+                    <Minimap bounds={contentBounds} items={ringItems} viewBox={viewBox} colors={minimapColors} onNavigate={(point, options) => viewport.centerOn(point, options)} />
+                </div>
+                {isDetailPanelOpen && selectedNode && (
+                    <TaskDetailPanel
+                        key={selectedNode.id} node={selectedNode} theme={theme}
+                        onChange={(patch, historyOptions) => updateDetails(selectedNode.id, patch, historyOptions)} onClose={() => setIsDetailPanelOpen(false)}
+                    />
+                )}
+                {isScheduleReportOpen && data && (
+                    <ScheduleReport
+                        problems={schedule.problems} tree={data} theme={theme} dailyCapacity={capacity}
+                        onCapacityChange={setCapacity} onSelect={showTask} onClose={() => setIsScheduleReportOpen(false)}
+                    />
+                )}
+            </div>
+            <div role="status" aria-live="polite" style={visuallyHidden}>{announcement}</div>
         </div>
     );
 }
\ No newline at end of file
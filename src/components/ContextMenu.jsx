@@ -0,0 +1,42 @@
+import React, { useEffect, useRef } from 'react';
+
+// --- ContextMenu Component ---
+// Fixed-position menu at client coordinates `x`/`y`. Closes on Escape or on
+// any press (mouse, pen or touch) outside of it.
+const menuStyle = {
+    position: 'fixed', zIndex: 1000, minWidth: '180px', margin: 0, padding: '4px 0', listStyle: 'none',
+    background: '#fff', color: '#333', border: '1px solid #ccc', borderRadius: '6px', boxShadow: '0 4px 12px rgba(0, 0, 0, 0.15)',
+    textAlign: 'left', fontFamily: 'sans-serif', fontSize: '14px',
+};
+const itemStyle = { display: 'flex', justifyContent: 'space-between', gap: '16px', padding: '6px 12px', cursor: 'pointer' };
+
+export default function ContextMenu({ x, y, items, onClose }) {
+    const menuRef = useRef(null);
+
+    useEffect(() => {
+        const handlePointerDown = (e) => { if (!menuRef.current?.contains(e.target)) onClose(); };
+        const handleKeyDown = (e) => { if (e.key === 'Escape') onClose(); };
+        window.addEventListener('pointerdown', handlePointerDown);
+        window.addEventListener('keydown', handleKeyDown);
+        return () => {
+            window.removeEventListener('pointerdown', handlePointerDown);
+            window.removeEventListener('keydown', handleKeyDown);
+        };
+    }, [onClose]);
+
+    return (
+        <ul ref={menuRef} role="menu" style={{ ...menuStyle, left: x, top: y }} onContextMenu={(e) => e.preventDefault()}>
+            {items.map(item => (
+                <li
+                    key={item.label} role="menuitem" aria-disabled={item.disabled || undefined}
+                    style={{ ...itemStyle, opacity: item.disabled ? 0.4 : 1, cursor: item.disabled ? 'default' : 'pointer' }}
+                    onPointerDown={(e) => e.stopPropagation()}
+                    onClick={() => { if (item.disabled) return; onClose(); item.onSelect(); }}
+                >
+                    <span>{item.label}</span>
+                    {item.shortcut && <span style={{ color: '#888' }}>{item.shortcut}</span>}
+                </li>
+            ))}
+        </ul>
+    );
+}
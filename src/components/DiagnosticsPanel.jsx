@@ -0,0 +1,35 @@
+import React from 'react';
+import { ToolbarButton } from './Toolbar';
+
+// --- DiagnosticsPanel Component ---
+// Dismissible list of problems found in imported or loaded data, each
+// `{ severity, line, message }` (severity 'error' unless it says 'warning',
+// line optional). Any error makes the panel an alert; warnings alone show
+// as a notice. `children` go between the list and the Dismiss button.
+const PALETTES = {
+    error: { border: '#f5c2c7', background: '#f8d7da', color: '#842029' },
+    warning: { border: '#ffecb5', background: '#fff3cd', color: '#664d03' },
+};
+
+export default function DiagnosticsPanel({ title, diagnostics, onDismiss, children }) {
+    const hasErrors = diagnostics.some(d => d.severity !== 'warning');
+    const palette = PALETTES[hasErrors ? 'error' : 'warning'];
+    return (
+        <div
+            role={hasErrors ? 'alert' : 'status'}
+            style={{ margin: '0 0 10px', padding: '8px 12px', border: `1px solid ${palette.border}`, borderRadius: '4px', background: palette.background, color: palette.color, fontSize: '14px' }}
+        >
+            <strong>{title}</strong>
+            <ul style={{ margin: '6px 0', paddingLeft: '20px' }}>
+                {diagnostics.map((diagnostic, index) => (
+                    <li key={index}>
+                        {hasErrors && diagnostic.severity === 'warning' && 'Warning: '}
+                        {diagnostic.line ? `Line ${diagnostic.line}: ` : ''}{diagnostic.message}
+                    </li>
+                ))}
+            </ul>
+            {children}
+            <ToolbarButton onClick={onDismiss}>Dismiss</ToolbarButton>
+        </div>
+    );
+}
@@ -0,0 +1,128 @@
+import React, { useRef, useState } from 'react';
+import Toolbar, { ToolbarButton } from './Toolbar';
+import DiagnosticsPanel from './DiagnosticsPanel';
+import { FORMATS, findFormatForFile, importTree, exportTree } from '../formats';
+import { downloadText } from '../utils/download';
+
+// --- DocumentBar Component ---
+// Picker and actions for the saved maps of `useDocuments`, plus the autosave
+// state and file import/export. `onImport(title, tree)` receives a parsed tree;
+// problems with the file are listed under the bar instead. Formats with
+// `strictnessLevels` (task JSON) offer to import a rejected file anyway, and
+// list what they repaired or left out.
+const ACCEPTED_EXTENSIONS = FORMATS.flatMap(format => format.extensions).join(',');
+
+const formatTime = (iso) => (iso ? new Date(iso).toLocaleString() : '');
+
+function SaveStatus({ status, onRetry }) {
+    switch (status.state) {
+        case 'loading': return <span>Loading…</span>;
+        case 'pending': return <span style={{ color: '#888' }}>Unsaved changes</span>;
+        case 'saving': return <span style={{ color: '#888' }}>Saving…</span>;
+        case 'saved': return <span style={{ color: '#28a745' }}>Saved {status.savedAt && new Date(status.savedAt).toLocaleTimeString()}</span>;
+        case 'error':
+            if (status.failed !== 'save') {
+                return (
+                    <span role="alert" style={{ color: '#dc3545' }}>
+                        {status.failed === 'read' ? 'Could not open the map' : 'Could not delete the map'}: {status.error?.message || 'unknown error'}
+                    </span>
+                );
+            }
+            return (
+                <span role="alert" style={{ color: '#dc3545' }}>
+                    Save failed: {status.error?.message || 'unknown error'} Your latest changes are only kept in this tab.{' '}
+                    <ToolbarButton onClick={onRetry}>Retry</ToolbarButton>
+                </span>
+            );
+        default: return null;
+    }
+}
+
+export default function DocumentBar({ documents, current, status, onOpen, onCreate, onRename, onDuplicate, onDelete, onRetry, onImport }) {
+    const fileInputRef = useRef(null);
+    // { fileName, text, problems, failed, strictnessLevels } of the last import with problems
+    const [importResult, setImportResult] = useState(null);
+
+    const handleCreate = () => {
+        const title = window.prompt('Title of the new map:', 'Untitled map');
+        if (title !== null) onCreate(title.trim() || 'Untitled map');
+    };
+    const handleRename = () => {
+        const title = window.prompt('New title:', current.title);
+        if (title !== null && title.trim()) onRename(current.id, title.trim());
+    };
+    const handleDelete = () => {
+        if (window.confirm(`Delete "${current.title}"? This cannot be undone.`)) onDelete(current.id);
+    };
+
+    const runImport = (fileName, text, strictness) => {
+        const problems = [];
+        try {
+            const tree = importTree(text, fileName, { strictness, report: (problem) => problems.push(problem) });
+            setImportResult(problems.length > 0 ? { fileName, problems, failed: false } : null);
+            onImport(tree.text || fileName, tree);
+        } catch (err) {
+            setImportResult({
+                fileName, text, failed: true, problems: err.problems ?? [{ line: null, message: err.message }],
+                strictnessLevels: err.strictness ? findFormatForFile(fileName)?.strictnessLevels : undefined,
+            });
+        }
+    };
+    const handleImportFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = ''; // Allow picking the same file again after fixing it
+        if (!file) return;
+        runImport(file.name, await file.text());
+    };
+    const handleExport = (e) => {
+        const formatId = e.target.value;
+        e.target.value = '';
+        if (!formatId || !current) return;
+        const { text, fileName, mimeType } = exportTree(current.tree, formatId, current.title);
+        downloadText(text, fileName, mimeType);
+    };
+
+    return (
+        <>
+            <Toolbar>
+                <select
+                    value={current?.id ?? ''} onChange={(e) => onOpen(e.target.value)} disabled={!current}
+                    aria-label="Open map" style={{ fontSize: '14px', padding: '4px', maxWidth: '320px' }}
+                >
+                    {documents.map(meta => (
+                        <option key={meta.id} value={meta.id}>{meta.title} — {formatTime(meta.updatedAt)}</option>
+                    ))}
+                </select>
+                <ToolbarButton onClick={handleCreate} title="Create a new map">New</ToolbarButton>
+                <ToolbarButton onClick={handleRename} disabled={!current} title="Rename this map">Rename</ToolbarButton>
+                <ToolbarButton onClick={() => onDuplicate(current.id)} disabled={!current} title="Duplicate this map">Duplicate</ToolbarButton>
+                <ToolbarButton onClick={handleDelete} disabled={!current} title="Delete this map">Delete</ToolbarButton>
+                {onImport && (
+                    <>
+                        <ToolbarButton onClick={() => fileInputRef.current.click()} title="Import a map from OPML, Markdown, text, FreeMind or task JSON">Import…</ToolbarButton>
+                        <input ref={fileInputRef} type="file" accept={ACCEPTED_EXTENSIONS} onChange={handleImportFile} style={{ display: 'none' }} />
+                    </>
+                )}
+                <select value="" onChange={handleExport} disabled={!current} aria-label="Export map" style={{ fontSize: '14px', padding: '4px' }}>
+                    <option value="" disabled>Export as…</option>
+                    {FORMATS.map(format => (
+                        <option key={format.id} value={format.id}>{format.label} ({format.extensions[0]})</option>
+                    ))}
+                </select>
+                <SaveStatus status={status} onRetry={onRetry} />
+            </Toolbar>
+            {importResult && (
+                <DiagnosticsPanel
+                    title={importResult.failed ? `Could not import ${importResult.fileName}.` : `Imported ${importResult.fileName} with ${importResult.problems.length} problem${importResult.problems.length === 1 ? '' : 's'}.`}
+                    diagnostics={importResult.problems} onDismiss={() => setImportResult(null)}
+                >
+                    {importResult.strictnessLevels?.filter(level => level.id !== 'reject').map(level => (
+                        <ToolbarButton key={level.id} onClick={() => runImport(importResult.fileName, importResult.text, level.id)} title="Import the file anyway">
+                            {level.label}
+                        </ToolbarButton>
+                    ))}
+                </DiagnosticsPanel>
+            )}
+        </>
+    );
+}
@@ -0,0 +1,84 @@
+import React, { useState, useCallback } from 'react';
+import { ToolbarButton } from './Toolbar';
+import { createSvgSnapshot, rasterizeSvg } from '../utils/exportImage';
+import { downloadBlob, downloadText } from '../utils/download';
+
+// --- ExportImageButton Component ---
+// "Export image…" toolbar button with a small options panel. Exports the whole
+// content of `contentRef` (a <g> directly inside the <svg> of `svgRef`) as SVG
+// or PNG, independent of the current pan/zoom, on `background` unless the
+// transparent option is ticked.
+const SCALES = [1, 2, 3, 4];
+
+const panelStyle = {
+    position: 'absolute', top: '100%', left: 0, zIndex: 10, marginTop: '4px', padding: '10px 12px',
+    display: 'grid', gridTemplateColumns: 'auto auto', gap: '6px 10px', alignItems: 'center',
+    background: '#fff', color: '#333', border: '1px solid #ccc', borderRadius: '4px',
+    boxShadow: '0 2px 8px rgba(0,0,0,0.15)', fontSize: '14px', whiteSpace: 'nowrap',
+};
+
+export default function ExportImageButton({ svgRef, contentRef, fileName = 'mindmap', background = '#ffffff' }) {
+    const [isOpen, setIsOpen] = useState(false);
+    const [options, setOptions] = useState({ format: 'png', scale: 2, transparent: false, padding: 20 });
+    const [error, setError] = useState(null);
+    const [isBusy, setIsBusy] = useState(false);
+
+    const setOption = (name) => (e) => {
+        const { type, checked, value } = e.target;
+        setOptions(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : (type === 'number' || name === 'scale' ? Number(value) : value) }));
+    };
+
+    const handleExport = useCallback(async () => {
+        if (!svgRef.current || !contentRef.current) return;
+        setError(null);
+        setIsBusy(true);
+        try {
+            const snapshot = createSvgSnapshot(svgRef.current, contentRef.current, {
+                padding: Math.max(0, options.padding || 0),
+                background: options.transparent ? null : background,
+            });
+            if (options.format === 'svg') {
+                downloadText(snapshot.svg, `${fileName}.svg`, 'image/svg+xml');
+            } else {
+                downloadBlob(await rasterizeSvg(snapshot, { scale: options.scale }), `${fileName}.png`);
+            }
+            setIsOpen(false);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setIsBusy(false);
+        }
+    }, [svgRef, contentRef, fileName, background, options]);
+
+    return (
+        <span style={{ position: 'relative' }}>
+            <ToolbarButton onClick={() => setIsOpen(open => !open)} title="Export the whole map as an image">Export image…</ToolbarButton>
+            {isOpen && (
+                <div role="dialog" aria-label="Export image" style={panelStyle}>
+                    <label htmlFor="export-image-format">Format</label>
+                    <select id="export-image-format" value={options.format} onChange={setOption('format')}>
+                        <option value="png">PNG</option>
+                        <option value="svg">SVG</option>
+                    </select>
+                    {options.format === 'png' && (
+                        <>
+                            <label htmlFor="export-image-scale">Scale</label>
+                            <select id="export-image-scale" value={options.scale} onChange={setOption('scale')}>
+                                {SCALES.map(scale => <option key={scale} value={scale}>{scale}×</option>)}
+                            </select>
+                        </>
+                    )}
+                    <label htmlFor="export-image-padding">Padding</label>
+                    <input id="export-image-padding" type="number" min="0" step="10" value={options.padding} onChange={setOption('padding')} style={{ width: '70px' }} />
+                    <label htmlFor="export-image-transparent">Transparent</label>
+                    <input id="export-image-transparent" type="checkbox" checked={options.transparent} onChange={setOption('transparent')} />
+                    {error && <span role="alert" style={{ gridColumn: '1 / -1', color: '#dc3545' }}>{error}</span>}
+                    <span style={{ gridColumn: '1 / -1', display: 'flex', gap: '6px', justifyContent: 'flex-end' }}>
+                        <ToolbarButton onClick={() => setIsOpen(false)}>Cancel</ToolbarButton>
+                        <ToolbarButton onClick={handleExport} disabled={isBusy}>{isBusy ? 'Exporting…' : 'Export'}</ToolbarButton>
+                    </span>
+                </div>
+            )}
+        </span>
+    );
+}
@@ -1,7 +1,14 @@
 // Example: TaskWheelPage.jsx
 
-import React, { useMemo } from 'react'
+import React, { useState } from 'react'
 import ConcentricTaskViewer from './ConcentricTaskViewer'; // Import the new component
+import TimelineView from './TimelineView';
+import MindMapEditor from './MindMapEditor';
+import DocumentBar from './DocumentBar';
+import DiagnosticsPanel from './DiagnosticsPanel';
+import useDocuments from '../hooks/useDocuments';
+import { createDefaultAdapter } from '../utils/storage';
+import { buildTreeFromFlatData } from '../utils/flatTasks';
 
 // Your flat JSON task data
 const yourFlatJsonData = [
@@ -93,8 +100,8 @@ const yourFlatJsonData = [
     "dailyStartTime": "10:00",
     "dailyHours": 6,
     "task": "Validierung der Value Proposition mit Zielgruppe",
-    "motivation": "Sicherstellung der Markttauglichkeit und Kundenorientierung"
-
+    "motivation": "Sicherstellung der Markttauglichkeit und Kundenorientierung",
+    "links": [{ "targetId": "task-1.4", "type": "depends-on", "label": "Marktlücken" }]
   },
 
 {
@@ -119,64 +126,49 @@ const yourFlatJsonData = [
 
 ];
 
-// The buildTreeFromFlatData helper 
-// Helper 1: Converts your flat array into a nested tree.
-// The 'level' property is crucial here.
-function buildTreeFromFlatData(flatData, rootId = null, rootText = "Projekt 123") {
-    const nodeMap = new Map();
-    const tree = { id: 'root', text: rootText, children: [] };
-
-    flatData.forEach(item => {
-        const level = (item.id.match(/\./g) || []).length + 1;
-        nodeMap.set(item.id, { ...item, text: item.task, children: [], level: level });
-    });
-
-    flatData.forEach(item => {
-        const childNode = nodeMap.get(item.id);
-        if (item.parentId && nodeMap.has(item.parentId)) {
-            const parentNode = nodeMap.get(item.parentId);
-            parentNode.children.push(childNode);
-        } else if (item.parentId === null || item.parentId === "nul") {
-            tree.children.push(childNode);
-        }
-    });
 
-    return tree;
-}
-
-// Helper 2: NEW function to group tasks from the tree by their level.
-function groupTasksByLevel(tree) {
-    const groups = {};
-    function traverse(nodes) {
-        if (!nodes || nodes.length === 0) return;
-        
-        nodes.forEach(node => {
-            if (!groups[node.level]) {
-                groups[node.level] = [];
-            }
-            groups[node.level].push(node);
-            traverse(node.children);
-        });
-    }
-    traverse(tree.children);
-    return groups;
-}
+// Same saved maps as the mind map page; the sample plan above seeds the first visit.
+const storageAdapter = createDefaultAdapter();
+// Tasks with a missing parent (like "nul" above) are attached to the root.
+const seed = buildTreeFromFlatData(yourFlatJsonData, { rootText: "Projekt 123", strictness: "attach" });
+const seedDocument = { title: "Projekt 123", tree: seed.tree };
 
+// Views of the current document; they all edit the same tree
+const VIEWS = [
+    { id: 'wheel', label: 'Wheel' },
+    { id: 'timeline', label: 'Timeline' },
+    { id: 'mindmap', label: 'Mind map' },
+];
 
 export default function TaskWheelPage() {
-    // 1. Build the nested tree
-    const taskTreeData = useMemo(() => buildTreeFromFlatData(yourFlatJsonData, null, "Projekt 123"), []);
-
-    // 2. Group the tasks from the tree by their level
-    const groupedTasks = useMemo(() => groupTasksByLevel(taskTreeData), [taskTreeData]);
+    // Load the saved (or seeded) tree
+    const docs = useDocuments(storageAdapter, { seed: seedDocument });
+    const { current } = docs;
+    const [showSeedProblems, setShowSeedProblems] = useState(seed.diagnostics.length > 0);
+    const [view, setView] = useState('wheel');
 
     return (
         <div>
-            <h1>Task Wheel</h1>
-            <ConcentricTaskViewer 
-                initialData={taskTreeData} 
-                groupedTasks={groupedTasks} 
+            <h1>Tasks</h1>
+            <DocumentBar
+                documents={docs.documents} current={current} status={docs.status}
+                onOpen={docs.open} onCreate={docs.create} onRename={docs.rename}
+                onDuplicate={docs.duplicate} onDelete={docs.remove} onRetry={docs.flush}
+                onImport={docs.create}
             />
+            {showSeedProblems && (
+                <DiagnosticsPanel title="Problems in the sample task data" diagnostics={seed.diagnostics} onDismiss={() => setShowSeedProblems(false)} />
+            )}
+            <label style={{ fontSize: '14px' }}>
+                View{' '}
+                <select value={view} onChange={(e) => setView(e.target.value)} style={{ fontSize: '14px', padding: '4px' }}>
+                    {VIEWS.map(option => <option key={option.id} value={option.id}>{option.label}</option>)}
+                </select>
+            </label>
+            {/* Switching views remounts them on the latest tree */}
+            {current && view === 'wheel' && <ConcentricTaskViewer key={current.id} initialData={current.tree} onChange={docs.updateTree} />}
+            {current && view === 'timeline' && <TimelineView key={current.id} initialData={current.tree} onChange={docs.updateTree} />}
+            {current && view === 'mindmap' && <MindMapEditor key={current.id} defaultValue={current.tree} onChange={docs.updateTree} />}
         </div>
     );
 }
\ No newline at end of file
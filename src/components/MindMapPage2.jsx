@@ -1,7 +1,12 @@
 // Example: MindMapPage.jsx
 
-import React from 'react';
+import React, { useState } from 'react';
 import MindMapEditor from './MindMapEditor';
+import DocumentBar from './DocumentBar';
+import DiagnosticsPanel from './DiagnosticsPanel';
+import useDocuments from '../hooks/useDocuments';
+import { createDefaultAdapter } from '../utils/storage';
+import { buildTreeFromFlatData } from '../utils/flatTasks';
 
 // Your provided JSON data
 const yourFlatJsonData = [
@@ -118,41 +123,31 @@ const yourFlatJsonData = [
 
 ];
 
-// This function remains the same and is crucial.
-function buildTreeFromFlatData(flatData, rootId = null, rootText = "Projekt 123") {
-    const nodeMap = new Map();
-    // Create the central root node
-    const tree = { id: 'root', text: rootText, children: [] }; 
 
-    // Create a map of all nodes for easy lookup
-    flatData.forEach(item => {
-        // Add a 'level' property to each node to easily determine which circle it belongs to
-        let level = (item.id.match(/\./g) || []).length + 1;
-        nodeMap.set(item.id, { ...item, text: item.task, children: [], level: level });
-    });
-
-    // Link children to their parents
-    flatData.forEach(item => {
-        const childNode = nodeMap.get(item.id);
-        if (item.parentId && nodeMap.has(item.parentId)) {
-            const parentNode = nodeMap.get(item.parentId);
-            parentNode.children.push(childNode);
-        } else if (item.parentId === null || item.parentId === "nul") { // Handle both null and the typo "nul"
-            // These are top-level tasks, children of the main project
-            tree.children.push(childNode);
-        }
-    });
-
-    return tree;
-}
+// Saved maps live in localStorage; the sample plan above seeds the first visit.
+const storageAdapter = createDefaultAdapter();
+// Tasks with a missing parent (like "nul" above) are attached to the root.
+const seed = buildTreeFromFlatData(yourFlatJsonData, { rootText: "Projekt 123", strictness: "attach" });
+const seedDocument = { title: "Projekt 123", tree: seed.tree };
 
 export default function MindMapPage() {
-    const mindMapTreeData = buildTreeFromFlatData(yourFlatJsonData, null, "Projekt 123");
+    const docs = useDocuments(storageAdapter, { seed: seedDocument });
+    const { current } = docs;
+    const [showSeedProblems, setShowSeedProblems] = useState(seed.diagnostics.length > 0);
 
     return (
         <div>
             <h1>Concentric Task Visualizer</h1>
-            <MindMapEditor initialData={mindMapTreeData} />
+            <DocumentBar
+                documents={docs.documents} current={current} status={docs.status}
+                onOpen={docs.open} onCreate={docs.create} onRename={docs.rename}
+                onDuplicate={docs.duplicate} onDelete={docs.remove} onRetry={docs.flush}
+                onImport={docs.create}
+            />
+            {showSeedProblems && (
+                <DiagnosticsPanel title="Problems in the sample task data" diagnostics={seed.diagnostics} onDismiss={() => setShowSeedProblems(false)} />
+            )}
+            {current && <MindMapEditor key={current.id} defaultValue={current.tree} onChange={docs.updateTree} />}
         </div>
     );
 }
\ No newline at end of file
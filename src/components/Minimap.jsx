@@ -0,0 +1,98 @@
+import React, { useRef, useCallback, useMemo } from 'react';
+
+// --- Minimap Component ---
+// Overview of the whole map in the corner of the canvas, with the current
+// viewport drawn as a rectangle. Clicking centres the view there; dragging
+// moves it along. The overview always includes the viewport, so a view that
+// has drifted off the map still shows where it is.
+//
+// `items` are centre-based boxes `{ id, x, y, width, height, shape, fill, stroke }`
+// (shape 'circle' | 'rect'); `bounds` is the content's corner-based box.
+// `onNavigate(centre, { animate })` asks for the view to be centred on a point.
+// `colors` (`{ background, border, item, viewport }`) follow the theme.
+const WIDTH = 180;
+const MAX_HEIGHT = 140;
+const MARGIN = 40; // Map units around the content
+
+const DEFAULT_COLORS = { background: 'rgba(255,255,255,0.9)', border: '#cccccc', item: '#adb5bd', viewport: '#007bff' };
+
+const containerStyle = {
+    position: 'absolute', right: '10px', bottom: '10px', borderRadius: '4px', boxShadow: '0 1px 4px rgba(0,0,0,0.15)', cursor: 'pointer',
+};
+
+const unionBounds = (a, b) => {
+    const x = Math.min(a.x, b.x);
+    const y = Math.min(a.y, b.y);
+    return { x, y, width: Math.max(a.x + a.width, b.x + b.width) - x, height: Math.max(a.y + a.height, b.y + b.height) - y };
+};
+
+export default function Minimap({ bounds, items, viewBox, colors = DEFAULT_COLORS, onNavigate }) {
+    const svgRef = useRef(null);
+
+    const world = useMemo(() => {
+        const content = bounds
+            ? { x: bounds.x - MARGIN, y: bounds.y - MARGIN, width: bounds.width + MARGIN * 2, height: bounds.height + MARGIN * 2 }
+            : viewBox;
+        return unionBounds(content, viewBox);
+    }, [bounds, viewBox]);
+
+    // Fit the overview into WIDTH × MAX_HEIGHT at its own aspect ratio
+    const scale = Math.min(WIDTH / world.width, MAX_HEIGHT / world.height);
+    const width = world.width * scale;
+    const height = world.height * scale;
+
+    // Moves the viewport centre with the pointer (captured, so the drag goes
+    // on outside the minimap). Grabbing the viewport rectangle keeps the grab
+    // offset instead of jumping to the pointer.
+    const dragRef = useRef(null);
+    const handlePointerDown = useCallback((e) => {
+        if (e.button !== 0 || dragRef.current) return;
+        e.preventDefault();
+        e.stopPropagation();
+        e.currentTarget.setPointerCapture?.(e.pointerId);
+        // The overview changes as the view moves; points are mapped through
+        // the one shown when the drag started
+        const rect = svgRef.current.getBoundingClientRect();
+        const toWorldPoint = (event) => ({
+            x: world.x + ((event.clientX - rect.left) / (rect.width || width)) * world.width,
+            y: world.y + ((event.clientY - rect.top) / (rect.height || height)) * world.height,
+        });
+        const start = toWorldPoint(e);
+        const centre = { x: viewBox.x + viewBox.width / 2, y: viewBox.y + viewBox.height / 2 };
+        const insideView = start.x >= viewBox.x && start.x <= viewBox.x + viewBox.width && start.y >= viewBox.y && start.y <= viewBox.y + viewBox.height;
+        const offset = insideView ? { x: centre.x - start.x, y: centre.y - start.y } : { x: 0, y: 0 };
+        if (!insideView) onNavigate(start, { animate: true });
+        dragRef.current = { pointerId: e.pointerId, toWorldPoint, offset };
+    }, [world, width, height, viewBox, onNavigate]);
+
+    const handlePointerMove = useCallback((e) => {
+        const drag = dragRef.current;
+        if (!drag || drag.pointerId !== e.pointerId) return;
+        const point = drag.toWorldPoint(e);
+        onNavigate({ x: point.x + drag.offset.x, y: point.y + drag.offset.y }, { animate: false });
+    }, [onNavigate]);
+
+    const handlePointerUp = useCallback((e) => {
+        if (dragRef.current?.pointerId === e.pointerId) dragRef.current = null;
+    }, []);
+
+    const strokeWidth = 1 / scale;
+    return (
+        <div style={{ ...containerStyle, background: colors.background, border: `1px solid ${colors.border}` }} data-export="ignore">
+            <svg
+                ref={svgRef} width={width} height={height} viewBox={`${world.x} ${world.y} ${world.width} ${world.height}`}
+                onPointerDown={handlePointerDown} onPointerMove={handlePointerMove} onPointerUp={handlePointerUp} onPointerCancel={handlePointerUp}
+                role="img" aria-label="Minimap" style={{ display: 'block', touchAction: 'none' }}
+            >
+                {items.map(item => (item.shape === 'circle'
+                    ? <circle key={item.id} cx={item.x} cy={item.y} r={Math.min(item.width, item.height) / 2} fill={item.fill ?? colors.item} stroke={item.stroke ?? 'none'} strokeWidth={strokeWidth} />
+                    : <rect key={item.id} x={item.x - item.width / 2} y={item.y - item.height / 2} width={item.width} height={item.height} fill={item.fill ?? colors.item} stroke={item.stroke ?? 'none'} strokeWidth={strokeWidth} />
+                ))}
+                <rect
+                    x={viewBox.x} y={viewBox.y} width={viewBox.width} height={viewBox.height}
+                    fill={colors.viewport} fillOpacity="0.1" stroke={colors.viewport} strokeWidth={strokeWidth * 2} style={{ cursor: 'move' }}
+                />
+            </svg>
+        </div>
+    );
+}
@@ -0,0 +1,68 @@
+import React from 'react';
+import { ToolbarButton } from './Toolbar';
+import { findNode } from '../utils/tree';
+import { MAX_DAILY_HOURS, parseHours } from '../utils/taskFields';
+
+// --- ScheduleReport Component ---
+// Docked next to the canvas like the detail panel: every problem
+// `checkSchedule` (utils/schedule.js) found in `tree`, with a button per task
+// involved that hands its id to `onSelect`. The daily capacity the checks
+// use is edited here and reported through `onCapacityChange(hours)`.
+const panelStyle = {
+    width: '280px', flexShrink: 0, boxSizing: 'border-box', maxHeight: '80vh', overflowY: 'auto',
+    padding: '8px 12px', fontFamily: 'sans-serif', fontSize: '14px',
+};
+const linkStyle = { padding: '0 4px', margin: '2px 4px 0 0', fontSize: '13px' };
+
+export default function ScheduleReport({ problems, tree, theme, dailyCapacity, onCapacityChange, onSelect, onClose }) {
+    return (
+        <aside aria-label="Schedule problems" style={{ ...panelStyle, background: theme.canvas, color: theme.text, border: `1px solid ${theme.border}` }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+                <strong>Schedule</strong>
+                <ToolbarButton onClick={onClose} title="Close the schedule report">✕</ToolbarButton>
+            </div>
+            <label style={{ display: 'block', marginBottom: '10px' }}>
+                Hours a day
+                <input
+                    type="number" min="0.25" max={MAX_DAILY_HOURS} step="0.25" defaultValue={dailyCapacity}
+                    style={{ display: 'block', width: '100%', boxSizing: 'border-box', marginTop: '2px', padding: '4px', fontSize: '14px' }}
+                    onChange={(e) => {
+                        const hours = parseHours(e.target.value);
+                        if (hours) onCapacityChange(hours);
+                    }}
+                />
+            </label>
+            {problems.length === 0 ? (
+                <p style={{ color: theme.mutedText }}>No problems found.</p>
+            ) : (
+                <ul style={{ margin: 0, paddingLeft: '18px' }}>
+                    {problems.map((problem, index) => (
+                        <li key={index} style={{ marginBottom: '8px', color: problem.severity === 'error' ? theme.refused : theme.text }}>
+                            {problem.severity === 'error' && 'Impossible: '}{problem.message}
+                            <div>
+                                {problem.nodeIds.map(id => (
+                                    <button key={id} type="button" onClick={() => onSelect(id)} title="Select this task" style={linkStyle}>
+                                        {findNode(tree, id)?.text ?? id}
+                                    </button>
+                                ))}
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </aside>
+    );
+}
+
+// --- ScheduleMarker Component ---
+// Warning sign over a node with schedule problems; hovering lists them
+export function ScheduleMarker({ problems, theme, x, y }) {
+    const isError = problems.some(problem => problem.severity === 'error');
+    return (
+        <g className="schedule-marker" transform={`translate(${x}, ${y})`}>
+            <title>{problems.map(problem => problem.message).join('\n')}</title>
+            <circle r="9" fill={isError ? theme.refused : theme.warning.fill} stroke={theme.canvas} strokeWidth="1.5" />
+            <text textAnchor="middle" dy=".35em" fontSize="13" fontWeight="bold" fontFamily="sans-serif" fill={isError ? theme.canvas : theme.warning.text}>!</text>
+        </g>
+    );
+}
@@ -0,0 +1,45 @@
+import React, { useEffect, useRef } from 'react';
+import Toolbar, { ToolbarButton } from './Toolbar';
+
+// --- SearchBar Component ---
+// Query field with result stepping (Enter / Shift+Enter), a filter toggle and
+// Escape to close. The editor owns the state; this only renders and forwards.
+// Changing `focusRequest` moves the focus back into the field.
+export default function SearchBar({ query, matchCount, currentIndex, filter, focusRequest, onQueryChange, onStep, onFilterChange, onClose }) {
+    const inputRef = useRef(null);
+
+    useEffect(() => {
+        inputRef.current?.focus();
+        inputRef.current?.select();
+    }, [focusRequest]);
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            onStep(e.shiftKey ? -1 : 1);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            onClose();
+        }
+    };
+
+    return (
+        <Toolbar>
+            <input
+                ref={inputRef} type="search" value={query} placeholder="Search nodes…" aria-label="Search nodes"
+                onChange={(e) => onQueryChange(e.target.value)} onKeyDown={handleKeyDown}
+                style={{ fontSize: '14px', padding: '4px 8px', width: '220px' }}
+            />
+            <span aria-live="polite" style={{ fontSize: '14px', color: query && matchCount === 0 ? '#dc3545' : '#555', minWidth: '70px' }}>
+                {query && matchCount === 0 && 'No matches'}
+                {matchCount > 0 && (currentIndex >= 0 ? `${currentIndex + 1} / ${matchCount}` : `${matchCount} match${matchCount === 1 ? '' : 'es'}`)}
+            </span>
+            <ToolbarButton onClick={() => onStep(-1)} disabled={matchCount === 0} title="Previous match (Shift+Enter)">↑</ToolbarButton>
+            <ToolbarButton onClick={() => onStep(1)} disabled={matchCount === 0} title="Next match (Enter)">↓</ToolbarButton>
+            <label style={{ fontSize: '14px' }}>
+                <input type="checkbox" checked={filter} onChange={(e) => onFilterChange(e.target.checked)} /> Only show matches
+            </label>
+            <ToolbarButton onClick={onClose} title="Close search (Esc)">✕</ToolbarButton>
+        </Toolbar>
+    );
+}
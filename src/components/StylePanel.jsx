@@ -0,0 +1,56 @@
+import React from 'react';
+import Toolbar, { ToolbarButton } from './Toolbar';
+import { NODE_SHAPES } from '../utils/nodeStyle';
+
+// --- StylePanel Component ---
+// Style fields of the selected nodes (see utils/nodeStyle.js). The controls
+// show `node`, the primary selection, as it is drawn (`style`, resolved
+// against the theme); every change applies to all of `nodeIds` through
+// `onChange(patch, historyOptions)`. A null value in the patch removes the
+// field, so the node goes back to its branch / theme color.
+const labelStyle = { display: 'flex', alignItems: 'center', gap: '4px', fontSize: '14px' };
+const colorInputStyle = { width: '36px', height: '28px', padding: '2px' };
+
+const COLOR_FIELDS = [
+    { field: 'color', label: 'Fill', resolved: 'fill' },
+    { field: 'stroke', label: 'Outline', resolved: 'stroke' },
+    { field: 'textColor', label: 'Text', resolved: 'textColor' },
+];
+
+export default function StylePanel({ node, style, nodeIds, onChange, onClose }) {
+    // Dragging through a color picker or typing an icon is one undo step
+    const set = (field, value) => onChange({ [field]: value }, { group: `style:${field}:${nodeIds.join()}` });
+
+    return (
+        <Toolbar>
+            <strong style={{ fontSize: '14px' }}>{nodeIds.length > 1 ? `Style of ${nodeIds.length} nodes` : 'Style'}</strong>
+            {COLOR_FIELDS.map(({ field, label, resolved }) => (
+                <span key={field} style={labelStyle}>
+                    <label style={labelStyle}>
+                        {label}
+                        <input type="color" value={node[field] ?? style[resolved]} onChange={(e) => set(field, e.target.value)} style={colorInputStyle} />
+                    </label>
+                    <ToolbarButton onClick={() => onChange({ [field]: null })} disabled={node[field] === undefined} title={`Use the automatic ${label.toLowerCase()} color`}>Auto</ToolbarButton>
+                </span>
+            ))}
+            <label style={labelStyle}>
+                Shape
+                <select value={node.shape ?? ''} onChange={(e) => onChange({ shape: e.target.value || null })} style={{ fontSize: '14px', padding: '4px' }}>
+                    <option value="">Layout default</option>
+                    {NODE_SHAPES.map(shape => <option key={shape.id} value={shape.id}>{shape.label}</option>)}
+                </select>
+            </label>
+            <label style={labelStyle}>
+                Icon
+                <input
+                    type="text" value={node.icon ?? ''} placeholder="🙂" maxLength={8}
+                    onChange={(e) => set('icon', e.target.value.trim() || null)} style={{ width: '48px', fontSize: '14px', padding: '4px' }}
+                />
+            </label>
+            <label style={labelStyle}>
+                <input type="checkbox" checked={node.fontWeight === 'bold'} onChange={(e) => onChange({ fontWeight: e.target.checked ? 'bold' : null })} /> Bold
+            </label>
+            <ToolbarButton onClick={onClose} title="Close the style panel">✕</ToolbarButton>
+        </Toolbar>
+    );
+}
@@ -0,0 +1,131 @@
+import React, { useState } from 'react';
+import { ToolbarButton } from './Toolbar';
+import { MAX_DAILY_HOURS, TASK_FIELDS, TASK_STATUSES, parseHours, validateTaskField } from '../utils/taskFields';
+import { setProgress } from '../utils/progress';
+
+// --- TaskDetailPanel Component ---
+// Docked next to the canvas: the text, planning fields (see
+// utils/taskFields.js) and custom fields of one node. Every edit goes to
+// `onChange(patch, historyOptions)`; a null value removes the field. The
+// progress of a node with children comes from them, so it is not editable
+// here (see utils/progress.js). Typing in one field is one undo step. Render
+// it with `key={node.id}` so a half-typed value doesn't carry over to the
+// next node.
+const panelStyle = {
+    width: '280px', flexShrink: 0, boxSizing: 'border-box', maxHeight: '80vh', overflowY: 'auto',
+    padding: '8px 12px', fontFamily: 'sans-serif', fontSize: '14px',
+};
+const labelStyle = { display: 'block', marginBottom: '10px' };
+const inputStyle = { display: 'block', width: '100%', boxSizing: 'border-box', marginTop: '2px', padding: '4px', fontSize: '14px' };
+
+export default function TaskDetailPanel({ node, theme, onChange, onClose }) {
+    // Text of the hours field while it doesn't hold a valid number
+    const [hoursDraft, setHoursDraft] = useState(null);
+    const [newField, setNewField] = useState({ key: '', value: '' });
+    const fields = node.fields ?? {};
+    const set = (field, value) => onChange({ [field]: value }, { group: `details:${field}:${node.id}` });
+    const setField = (key, value) => onChange({ fields: { ...fields, [key]: value } }, { group: `details:fields:${key}:${node.id}` });
+    const removeField = (key) => {
+        const next = Object.fromEntries(Object.entries(fields).filter(([k]) => k !== key));
+        onChange({ fields: Object.keys(next).length > 0 ? next : null });
+    };
+
+    const newKey = newField.key.trim();
+    const newKeyError = Object.hasOwn(fields, newKey) ? `There already is a field "${newKey}".` : null;
+    const addField = (e) => {
+        e.preventDefault();
+        if (!newKey || newKeyError) return;
+        onChange({ fields: { ...fields, [newKey]: newField.value } });
+        setNewField({ key: '', value: '' });
+    };
+
+    const errorText = (message) => message && <span role="alert" style={{ display: 'block', color: theme.refused }}>{message}</span>;
+
+    const renderInput = ({ field, label, input }) => {
+        const value = node[field];
+        if (input === 'number') {
+            const error = validateTaskField(field, hoursDraft === null ? value : NaN);
+            return (
+                <label key={field} style={labelStyle}>
+                    {label}
+                    <input
+                        type="number" min="0" max={MAX_DAILY_HOURS} step="0.25" value={hoursDraft ?? value ?? ''} aria-invalid={Boolean(error)} style={inputStyle}
+                        onChange={(e) => {
+                            const hours = parseHours(e.target.value);
+                            setHoursDraft(hours === undefined ? e.target.value : null);
+                            if (hours !== undefined) set(field, hours);
+                        }}
+                        onBlur={() => setHoursDraft(null)}
+                    />
+                    {errorText(error)}
+                </label>
+            );
+        }
+        const props = {
+            value: typeof value === 'string' ? value : '', style: inputStyle,
+            onChange: (e) => set(field, e.target.value || null),
+        };
+        return (
+            <label key={field} style={labelStyle}>
+                {label}
+                {input === 'multiline' ? <textarea rows={4} {...props} /> : <input type={input} {...props} />}
+                {errorText(validateTaskField(field, value))}
+            </label>
+        );
+    };
+
+    return (
+        <aside aria-label="Task details" style={{ ...panelStyle, background: theme.canvas, color: theme.text, border: `1px solid ${theme.border}` }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+                <strong>Details</strong>
+                <ToolbarButton onClick={onClose} title="Close the details">✕</ToolbarButton>
+            </div>
+            <label style={labelStyle}>
+                Task
+                <textarea rows={3} value={node.text ?? ''} onChange={(e) => onChange({ text: e.target.value }, { group: `details:text:${node.id}` })} style={inputStyle} />
+            </label>
+            {TASK_FIELDS.map(renderInput)}
+            <div style={{ display: 'flex', gap: '8px' }}>
+                <label style={{ ...labelStyle, flex: 1 }}>
+                    Status
+                    <select value={node.status ?? ''} onChange={(e) => onChange({ status: e.target.value || null })} style={inputStyle}>
+                        <option value="">—</option>
+                        {TASK_STATUSES.map(status => <option key={status.id} value={status.id}>{status.symbol} {status.label}</option>)}
+                    </select>
+                </label>
+                <label style={{ ...labelStyle, flex: 1 }}>
+                    Progress (%)
+                    <input
+                        type="number" min="0" max="100" step="5" value={node.progress ?? ''} style={inputStyle}
+                        disabled={node.children?.length > 0} title={node.children?.length > 0 ? 'Rolled up from the tasks below' : undefined}
+                        onChange={(e) => {
+                            const progress = e.target.value.trim() === '' ? null : Number(e.target.value);
+                            if (progress === null) set('progress', null);
+                            else if (!validateTaskField('progress', progress)) onChange(setProgress(node, progress), { group: `details:progress:${node.id}` });
+                        }}
+                    />
+                    {errorText(validateTaskField('progress', node.progress))}
+                </label>
+            </div>
+
+            <fieldset style={{ border: `1px solid ${theme.border}`, padding: '6px 8px', margin: 0 }}>
+                <legend>Custom fields</legend>
+                {Object.entries(fields).map(([key, value]) => (
+                    <div key={key} style={{ display: 'flex', alignItems: 'flex-end', gap: '4px', marginBottom: '6px' }}>
+                        <label style={{ flex: 1 }}>
+                            {key}
+                            <input type="text" value={value} onChange={(e) => setField(key, e.target.value)} style={inputStyle} />
+                        </label>
+                        <ToolbarButton onClick={() => removeField(key)} title={`Remove "${key}"`}>✕</ToolbarButton>
+                    </div>
+                ))}
+                <form onSubmit={addField} style={{ display: 'flex', alignItems: 'flex-end', gap: '4px' }}>
+                    <input type="text" value={newField.key} placeholder="Name" aria-label="New field name" onChange={(e) => setNewField(prev => ({ ...prev, key: e.target.value }))} style={{ ...inputStyle, flex: 1 }} />
+                    <input type="text" value={newField.value} placeholder="Value" aria-label="New field value" onChange={(e) => setNewField(prev => ({ ...prev, value: e.target.value }))} style={{ ...inputStyle, flex: 1 }} />
+                    <button type="submit" disabled={!newKey || Boolean(newKeyError)} style={{ padding: '4px 10px', fontSize: '14px' }}>Add</button>
+                </form>
+                {errorText(newKeyError)}
+            </fieldset>
+        </aside>
+    );
+}
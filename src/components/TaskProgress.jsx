@@ -0,0 +1,51 @@
+import React from 'react';
+import { getStatus, statusColor } from '../utils/progress';
+
+// --- Task progress drawing ---
+// Pieces the task views share to show `status` and the rolled-up progress of
+// utils/progress.js. All of them draw in svg units around the origin.
+const PROGRESS_GAP = 5; // Between a node's edge and its progress arc or bar
+const STATUS_RADIUS = 9;
+
+const percentLabel = (progress) => `${Math.round(progress)}% complete`;
+
+// Progress around a node of `width` × `height`: an arc just outside round
+// shapes, starting at the top and running clockwise, or a bar under boxes
+export function ProgressRing({ round, width, height, progress, color, theme }) {
+    if (!round) {
+        const y = height / 2 + PROGRESS_GAP;
+        return (
+            <g className="node-progress" style={{ pointerEvents: 'none' }}>
+                <title>{percentLabel(progress)}</title>
+                <line x1={-width / 2} y1={y} x2={width / 2} y2={y} stroke={theme.border} strokeWidth="4" strokeLinecap="round" />
+                {progress > 0 && <line x1={-width / 2} y1={y} x2={-width / 2 + width * progress / 100} y2={y} stroke={color} strokeWidth="4" strokeLinecap="round" />}
+            </g>
+        );
+    }
+    const rx = width / 2 + PROGRESS_GAP;
+    const ry = height / 2 + PROGRESS_GAP;
+    const outline = `M 0,${-ry} A ${rx},${ry} 0 1,1 0,${ry} A ${rx},${ry} 0 1,1 0,${-ry}`;
+    return (
+        <g className="node-progress" style={{ pointerEvents: 'none' }}>
+            <title>{percentLabel(progress)}</title>
+            <path d={outline} fill="none" stroke={theme.border} strokeWidth="4" />
+            {progress > 0 && <path d={outline} pathLength="100" fill="none" stroke={color} strokeWidth="4" strokeDasharray={`${progress} 100`} />}
+        </g>
+    );
+}
+
+// Round toggle showing a node's status symbol; clicking it calls `onCycle`
+// (the views move the status on with `cycleStatus`)
+export function StatusToggle({ status, theme, x, y, onCycle }) {
+    const current = getStatus(status) ?? getStatus('todo');
+    return (
+        <g
+            className="node-status" transform={`translate(${x}, ${y})`}
+            onClick={(e) => { e.stopPropagation(); onCycle(); }}
+        >
+            <title>{`${current.label}, click for the next status (S)`}</title>
+            <circle r={STATUS_RADIUS} fill={theme.control.fill} stroke={statusColor(status, theme)} strokeWidth="1.5" />
+            <text textAnchor="middle" dy=".35em" fontSize="12" fontFamily="sans-serif" fill={statusColor(status, theme)}>{current.symbol}</text>
+        </g>
+    );
+}
@@ -0,0 +1,22 @@
+import React, { useState, useMemo } from 'react';
+import { ThemeContext } from '../hooks/useTheme';
+import { listThemes } from '../themes';
+
+// --- ThemeProvider Component ---
+// Shares one theme between every map view below it, so switching it in one
+// toolbar recolors all of them at once.
+export default function ThemeProvider({ defaultTheme = 'light', children }) {
+    const [themeId, setThemeId] = useState(defaultTheme);
+    const value = useMemo(() => ({ themeId, setThemeId }), [themeId]);
+    return <ThemeContext.Provider value={value}>{children}</ThemeContext.Provider>;
+}
+
+// Theme switcher for a toolbar; renders nothing without `onChange`
+export function ThemeSelect({ value, onChange }) {
+    if (!onChange) return null;
+    return (
+        <select value={value} onChange={(e) => onChange(e.target.value)} title="Theme" aria-label="Theme" style={{ fontSize: '14px', padding: '4px' }}>
+            {listThemes().map(theme => <option key={theme.id} value={theme.id}>{theme.label}</option>)}
+        </select>
+    );
+}
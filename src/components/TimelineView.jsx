@@ -0,0 +1,381 @@
+import React, { useState, useMemo, useCallback, useRef, useEffect, useLayoutEffect } from 'react';
+import useHistory, { getHistoryShortcut } from '../hooks/useHistory';
+import usePointerGestures from '../hooks/usePointerGestures';
+import useTheme from '../hooks/useTheme';
+import Toolbar, { ToolbarButton } from './Toolbar';
+import TaskDetailPanel from './TaskDetailPanel';
+import { ThemeSelect } from './ThemeProvider';
+import { findNode, updateNode, mergePatch } from '../utils/tree';
+import { resolveNodeStyles } from '../utils/nodeStyle';
+import { MAX_DAILY_HOURS, dayFromDate, dateFromDay, formatHours, weekdayOf } from '../utils/taskFields';
+import { computeTimelineRows, getTaskSpan } from '../layouts/timeline';
+
+// --- Constants ---
+const ROW_HEIGHT = 28;
+const BAR_HEIGHT = 16;
+const SUMMARY_HEIGHT = 6;
+const HEADER_HEIGHT = 40;
+const LABEL_WIDTH = 260;
+const INDENT = 16;
+const MIN_BAR_WIDTH = 4;
+const RESIZE_HANDLE_WIDTH = 6;
+// Pixels per day
+const DAY_ZOOM = 240;
+const WEEK_ZOOM = 40;
+const MIN_ZOOM = 16;
+const MAX_ZOOM = 960;
+const ZOOM_STEP = 1.5;
+const HOURS_ZOOM = 120; // From here on the axis shows hours and hours snap to a quarter
+const WEEKDAYS = ['Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa', 'Su'];
+
+// Today where the user is (`toISOString` would give the date in UTC)
+const todayDay = () => {
+    const now = new Date();
+    return dayFromDate(`${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`);
+};
+const mondayOf = (day) => Math.floor(day) - weekdayOf(day);
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+const shiftDate = (node, days) => dateFromDay(dayFromDate(node.date) + days);
+
+const visuallyHidden = {
+    position: 'absolute', width: '1px', height: '1px', margin: '-1px', padding: 0, border: 0,
+    overflow: 'hidden', clip: 'rect(0 0 0 0)', whiteSpace: 'nowrap',
+};
+
+// Bar of a parent row, with the usual downward caps at both ends
+const summaryPath = (x, y, width) => `M ${x},${y} h ${width} v ${SUMMARY_HEIGHT + 4} l -5,-4 H ${x + 5} l -5,4 Z`;
+
+// --- TimelineBar Sub-Component ---
+// A task's own bar; `task` already carries the date or hours of a drag in
+// progress. Pointer handling is on the svg, which finds the bar by
+// `data-bar-id` and its right end by `data-resize`.
+const TimelineBar = React.memo(({ task, x, y, width, nodeStyle, theme, isSelected, isDragged }) => {
+    const hours = typeof task.dailyHours === 'number' ? formatHours(task.dailyHours) : null;
+    return (
+        <g data-bar-id={task.id} style={{ cursor: 'grab' }} opacity={isDragged ? 0.7 : undefined}>
+            <title>{`${task.text}: ${task.date}${task.dailyStartTime ? ` ${task.dailyStartTime}` : ''}${hours ? `, ${hours}` : ''}`}</title>
+            <rect x={x} y={y} width={width} height={BAR_HEIGHT} rx="3" fill={nodeStyle.fill} stroke={isSelected ? theme.accent : nodeStyle.line} strokeWidth={isSelected ? 2 : 1} />
+            {width > 40 && hours && (
+                <text x={x + 4} y={y + BAR_HEIGHT / 2} dy=".35em" fill={nodeStyle.textColor} style={{ fontSize: '11px', fontFamily: 'sans-serif', pointerEvents: 'none' }}>{hours}</text>
+            )}
+            <rect data-resize="" x={x + width - RESIZE_HANDLE_WIDTH / 2} y={y} width={RESIZE_HANDLE_WIDTH} height={BAR_HEIGHT} fill="transparent" style={{ cursor: 'ew-resize' }} />
+        </g>
+    );
+});
+
+// --- Main TimelineView Component ---
+// The tree as a Gantt chart: one row per task, depth first and grouped by
+// top-level branch, with a bar from `dailyStartTime` lasting `dailyHours` on
+// its `date` (see layouts/timeline.js). Parents get a summary bar over their
+// whole branch. Dragging a bar moves it by whole days, dragging its right end
+// changes the hours; with the keyboard, Left/Right move the selected task by
+// a day and Shift+Left/Right change its hours. Double-clicking an empty spot
+// in the row of an unplanned task plans it for that day.
+//
+// Takes the same props as ConcentricTaskViewer; edits are reported as
+// `{ type: 'details', nodeId, patch }` like those of the detail panel.
+export default function TimelineView({ initialData, historyLimit, theme: themeProp, onChange }) {
+    const history = useHistory(initialData, { limit: historyLimit });
+    const { present: data, set: setData, reset: resetHistory } = history;
+    const [selectedId, setSelectedId] = useState(null);
+    const [announcement, setAnnouncement] = useState(''); // Live region for screen readers
+    const [isDetailPanelOpen, setIsDetailPanelOpen] = useState(false);
+    const [pxPerDay, setPxPerDay] = useState(WEEK_ZOOM);
+    // Bar being dragged: `{ nodeId, patch }` with the date or hours it would get
+    const [drag, setDrag] = useState(null);
+
+    const { theme, setTheme } = useTheme(themeProp);
+    const nodeStyles = useMemo(() => resolveNodeStyles(data, theme), [data, theme]);
+    const { rows, range } = useMemo(() => computeTimelineRows(data), [data]);
+    const hourStep = pxPerDay >= HOURS_ZOOM ? 0.25 : 1;
+
+    // Whole weeks around everything planned, with room to drag into
+    const firstDay = mondayOf((range?.start ?? todayDay()) - 7);
+    const lastDay = mondayOf((range?.end ?? todayDay()) + 14);
+    const timelineWidth = (lastDay - firstDay) * pxPerDay;
+    const xOf = (time) => (time - firstDay) * pxPerDay;
+
+    const containerRef = useRef(null);
+    const scrollRef = useRef(null);
+    const svgRef = useRef(null);
+    const reportedDataRef = useRef(initialData);
+    const scrollDayRef = useRef(range?.start ?? todayDay()); // Day to bring into view at the left edge
+    const firstDayRef = useRef(firstDay); // `firstDay` the scroll position was last set for
+
+    useEffect(() => { if (initialData !== reportedDataRef.current) resetHistory(initialData); }, [initialData, resetHistory]);
+
+    // Keeps `scrollDayRef` at the left edge after zooming (and on mount), and
+    // the days on screen where they are when an edit moves `firstDay`
+    useLayoutEffect(() => {
+        const scroller = scrollRef.current;
+        if (scroller && scrollDayRef.current !== null) scroller.scrollLeft = Math.max(0, (scrollDayRef.current - firstDay) * pxPerDay - pxPerDay / 2);
+        else if (scroller && firstDayRef.current !== firstDay) scroller.scrollLeft += (firstDayRef.current - firstDay) * pxPerDay;
+        scrollDayRef.current = null;
+        firstDayRef.current = firstDay;
+    }, [pxPerDay, firstDay]);
+
+    const zoomTo = useCallback((next) => {
+        const scroller = scrollRef.current;
+        if (scroller) scrollDayRef.current = firstDay + scroller.scrollLeft / pxPerDay + 0.5;
+        setPxPerDay(clamp(next, MIN_ZOOM, MAX_ZOOM));
+    }, [firstDay, pxPerDay]);
+
+    const report = useCallback((nextData, change) => {
+        reportedDataRef.current = nextData;
+        onChange?.(nextData, change);
+    }, [onChange]);
+
+    // Every edit of this view, including the detail panel's
+    const updateDetails = useCallback((nodeId, patch, historyOptions) => {
+        const node = findNode(data, nodeId);
+        if (!node) return;
+        const isRename = 'text' in patch;
+        const nextData = updateNode(data, nodeId, isRename ? { text: patch.text } : mergePatch(patch));
+        setData(nextData, historyOptions);
+        report(nextData, isRename ? { type: 'text', nodeId, previousText: node.text, text: patch.text } : { type: 'details', nodeId, patch });
+        if (isRename) setAnnouncement(`Renamed to "${patch.text}".`);
+        else if (patch.date !== undefined || patch.dailyHours !== undefined) {
+            const planned = { ...node, ...patch };
+            setAnnouncement(`"${node.text}" planned for ${planned.date}${typeof planned.dailyHours === 'number' ? `, ${formatHours(planned.dailyHours)}` : ''}.`);
+        } else setAnnouncement(`Updated the details of "${node.text}".`);
+    }, [data, setData, report]);
+
+    const handleUndo = useCallback(() => { if (!history.canUndo) return; history.undo(); setAnnouncement('Undone.'); report(history.previous, { type: 'undo' }); }, [history, report]);
+    const handleRedo = useCallback(() => { if (!history.canRedo) return; history.redo(); setAnnouncement('Redone.'); report(history.next, { type: 'redo' }); }, [history, report]);
+
+    // Hours `delta` longer, snapped and kept within 0 – MAX_DAILY_HOURS
+    const resizeHours = useCallback((node, delta) => {
+        const hours = (node.dailyHours ?? 0) + delta;
+        return clamp(Math.round(hours / hourStep) * hourStep, 0, MAX_DAILY_HOURS);
+    }, [hourStep]);
+
+    // --- Pointer gestures ---
+    // A mouse or pen drags bars right away, a finger after a long press and
+    // scrolls the chart otherwise; any other drag scrolls it as well.
+    const rowAt = useCallback((e) => {
+        const box = svgRef.current?.getBoundingClientRect();
+        if (!box) return null;
+        const index = Math.floor((e.clientY - box.top - HEADER_HEIGHT) / ROW_HEIGHT);
+        return { row: rows[index] ?? null, day: Math.floor(firstDay + (e.clientX - box.left) / pxPerDay) };
+    }, [rows, firstDay, pxPerDay]);
+
+    // New date or hours of a bar dragged `dx` pixels sideways
+    const getDragPatch = (target, dx) => {
+        const node = findNode(data, target.nodeId);
+        if (!node) return null;
+        const days = dx / pxPerDay;
+        return target.action === 'resize' ? { dailyHours: resizeHours(node, days * 24) } : { date: shiftDate(node, Math.round(days)) };
+    };
+
+    const pointerHandlers = usePointerGestures({
+        onPress: (e) => {
+            if (e.button !== 0) return null;
+            const bar = e.target.closest?.('[data-bar-id]');
+            if (bar) return { nodeId: bar.getAttribute('data-bar-id'), action: e.target.closest('[data-resize]') ? 'resize' : 'move' };
+            return { nodeId: null, ...rowAt(e) };
+        },
+        onTap: ({ target, tapCount }) => {
+            if (target.nodeId) {
+                setSelectedId(target.nodeId);
+                return;
+            }
+            setSelectedId(target.row?.node.id ?? null);
+            // A double tap in the row of an unplanned task plans it there
+            if (tapCount === 2 && target.row && !target.row.span && target.row.node.id !== data?.id) {
+                updateDetails(target.row.node.id, { date: dateFromDay(target.day) });
+            }
+        },
+        onLongPress: ({ target }) => { if (target.nodeId) setSelectedId(target.nodeId); },
+        onDragStart: (gesture) => {
+            const { target } = gesture;
+            if (!target.nodeId || (gesture.pointerType === 'touch' && !gesture.afterLongPress)) target.action = 'scroll';
+            else setSelectedId(target.nodeId);
+        },
+        onDragMove: (gesture, e) => {
+            const { target } = gesture;
+            if (target.action === 'scroll') {
+                scrollRef.current?.scrollBy?.(-gesture.dx, -gesture.dy);
+                return;
+            }
+            const patch = getDragPatch(target, e.clientX - gesture.startX);
+            if (patch) setDrag({ nodeId: target.nodeId, patch });
+        },
+        // The change is worked out again from the release point, so it does
+        // not depend on the last move having been rendered
+        onDragEnd: (gesture, e, { cancelled }) => {
+            const { target } = gesture;
+            setDrag(null);
+            if (cancelled || target.action === 'scroll') return;
+            const node = findNode(data, target.nodeId);
+            const patch = getDragPatch(target, e.clientX - gesture.startX);
+            if (node && patch && Object.entries(patch).some(([field, value]) => node[field] !== value)) updateDetails(node.id, patch);
+        },
+    });
+
+    // --- Keyboard ---
+    // Up/Down: previous / next row. Left/Right: a day earlier / later, with
+    // Shift fewer / more hours. Repeated presses are one undo step.
+    const handleKeyDown = useCallback((e) => {
+        const shortcut = getHistoryShortcut(e);
+        if (shortcut) {
+            e.preventDefault();
+            if (shortcut === 'undo') handleUndo(); else handleRedo();
+            return;
+        }
+        if (e.target.closest?.('input, textarea, button, select')) return;
+        const index = rows.findIndex(row => row.node.id === selectedId);
+        if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+            e.preventDefault();
+            const next = rows[index === -1 ? 0 : clamp(index + (e.key === 'ArrowUp' ? -1 : 1), 0, rows.length - 1)];
+            if (next) setSelectedId(next.node.id);
+        } else if ((e.key === 'ArrowLeft' || e.key === 'ArrowRight') && index !== -1 && rows[index].span) {
+            e.preventDefault();
+            const node = rows[index].node;
+            const direction = e.key === 'ArrowLeft' ? -1 : 1;
+            if (e.shiftKey) updateDetails(node.id, { dailyHours: resizeHours(node, direction * hourStep) }, { group: `timeline:dailyHours:${node.id}` });
+            else updateDetails(node.id, { date: shiftDate(node, direction) }, { group: `timeline:date:${node.id}` });
+        } else if (e.key === 'Escape') {
+            setSelectedId(null);
+        } else if (selectedId && e.key === 'Enter') {
+            e.preventDefault();
+            setIsDetailPanelOpen(true);
+        }
+    }, [handleUndo, handleRedo, rows, selectedId, updateDetails, resizeHours, hourStep]);
+
+    // The one row in the tab order: the selected one, else the first
+    const focusableId = selectedId ?? rows[0]?.node.id ?? null;
+
+    // Keyboard focus follows the selection unless it is in a toolbar field
+    useEffect(() => {
+        const container = containerRef.current;
+        if (!container || !selectedId) return;
+        const active = document.activeElement;
+        if (active && active !== document.body && active !== container && active.getAttribute('role') !== 'treeitem') return;
+        const element = Array.from(container.querySelectorAll('[role="treeitem"]')).find(el => el.getAttribute('data-node-id') === selectedId);
+        if (element && element !== active) element.focus({ preventScroll: true });
+    }, [selectedId]);
+
+    const selectedNode = useMemo(() => findNode(data, selectedId), [data, selectedId]);
+
+    // --- Axis ---
+    const days = Array.from({ length: lastDay - firstDay }, (_, i) => firstDay + i);
+    const bodyHeight = rows.length * ROW_HEIGHT;
+    const today = todayDay();
+    const renderAxis = () => (
+        <g style={{ fontSize: '11px', fontFamily: 'sans-serif' }} fill={theme.mutedText}>
+            {days.map(day => {
+                const x = xOf(day);
+                const isWeekStart = weekdayOf(day) === 0;
+                return (
+                    <g key={day}>
+                        {weekdayOf(day) >= 5 && <rect x={x} y={HEADER_HEIGHT} width={pxPerDay} height={bodyHeight} fill={theme.border} opacity="0.25" />}
+                        <line x1={x} y1={isWeekStart ? 0 : HEADER_HEIGHT / 2} x2={x} y2={HEADER_HEIGHT + bodyHeight} stroke={theme.border} strokeWidth={isWeekStart ? 1.5 : 0.5} />
+                        {isWeekStart && <text x={x + 4} y={14}>{dateFromDay(day)}</text>}
+                        {pxPerDay >= HOURS_ZOOM && <text x={x + 4} y={HEADER_HEIGHT - 6}>{WEEKDAYS[weekdayOf(day)]} {dateFromDay(day).slice(8)}</text>}
+                        {pxPerDay < HOURS_ZOOM && pxPerDay >= 24 && <text x={x + pxPerDay / 2} y={HEADER_HEIGHT - 6} textAnchor="middle">{dateFromDay(day).slice(8)}</text>}
+                        {pxPerDay >= HOURS_ZOOM && [6, 12, 18].map(hour => (
+                            <g key={hour}>
+                                <line x1={x + (hour / 24) * pxPerDay} y1={HEADER_HEIGHT - 4} x2={x + (hour / 24) * pxPerDay} y2={HEADER_HEIGHT + bodyHeight} stroke={theme.border} strokeWidth="0.5" strokeDasharray="2 3" />
+                                <text x={x + (hour / 24) * pxPerDay + 2} y={HEADER_HEIGHT / 2 + 4}>{hour}:00</text>
+                            </g>
+                        ))}
+                    </g>
+                );
+            })}
+            {today >= firstDay && today < lastDay && (
+                <line x1={xOf(today)} y1={HEADER_HEIGHT} x2={xOf(today)} y2={HEADER_HEIGHT + bodyHeight} stroke={theme.match} strokeWidth="2" />
+            )}
+        </g>
+    );
+
+    // --- Rows ---
+    const rowBackground = (row) => (row.node.id === selectedId ? theme.accent : (row.branchId ? nodeStyles.get(row.branchId)?.fill : null));
+
+    const renderBars = (row, index) => {
+        const { node } = row;
+        const y = HEADER_HEIGHT + index * ROW_HEIGHT;
+        const isDragged = drag?.nodeId === node.id;
+        const task = isDragged ? { ...node, ...drag.patch } : node;
+        const span = isDragged ? getTaskSpan(task) : row.span;
+        return (
+            <g key={node.id}>
+                {row.summary && (
+                    <path d={summaryPath(xOf(row.summary.start), y + 2, Math.max(MIN_BAR_WIDTH, (row.summary.end - row.summary.start) * pxPerDay))} fill={theme.nodeStroke}>
+                        <title>{`${node.text}: ${dateFromDay(row.summary.start)} – ${dateFromDay(row.summary.end)}`}</title>
+                    </path>
+                )}
+                {span && (
+                    <TimelineBar
+                        task={task} x={xOf(span.start)} y={y + (ROW_HEIGHT - BAR_HEIGHT) / 2 + (row.summary ? 3 : 0)} width={Math.max(MIN_BAR_WIDTH, (span.end - span.start) * pxPerDay)}
+                        nodeStyle={nodeStyles.get(node.id)} theme={theme} isSelected={node.id === selectedId} isDragged={isDragged}
+                    />
+                )}
+            </g>
+        );
+    };
+
+    return (
+        <div onKeyDown={handleKeyDown} tabIndex={0} ref={containerRef} style={{ backgroundColor: theme.canvas, color: theme.text, outline: 'none' }}>
+            <Toolbar>
+                <ToolbarButton onClick={handleUndo} disabled={!history.canUndo} title="Undo (Ctrl+Z)">↶ Undo</ToolbarButton>
+                <ToolbarButton onClick={handleRedo} disabled={!history.canRedo} title="Redo (Ctrl+Shift+Z)">↷ Redo</ToolbarButton>
+                <ToolbarButton onClick={() => setIsDetailPanelOpen(open => !open)} disabled={!selectedNode} title="Date, hours and other details of the selected task">Details…</ToolbarButton>
+                <ToolbarButton onClick={() => zoomTo(DAY_ZOOM)} disabled={pxPerDay === DAY_ZOOM} title="Show the hours of each day">Days</ToolbarButton>
+                <ToolbarButton onClick={() => zoomTo(WEEK_ZOOM)} disabled={pxPerDay === WEEK_ZOOM} title="Show whole weeks">Weeks</ToolbarButton>
+                <ToolbarButton onClick={() => zoomTo(pxPerDay / ZOOM_STEP)} disabled={pxPerDay <= MIN_ZOOM} title="Zoom out">−</ToolbarButton>
+                <ToolbarButton onClick={() => zoomTo(pxPerDay * ZOOM_STEP)} disabled={pxPerDay >= MAX_ZOOM} title="Zoom in">+</ToolbarButton>
+                <ThemeSelect value={theme.id} onChange={setTheme} />
+            </Toolbar>
+            <div style={{ display: 'flex', alignItems: 'flex-start', gap: '8px' }}>
+                <div ref={scrollRef} style={{ flex: 1, minWidth: 0, maxHeight: '80vh', overflow: 'auto', border: `1px solid ${theme.border}` }}>
+                    <div style={{ display: 'flex', width: `${LABEL_WIDTH + timelineWidth}px` }}>
+                        <div
+                            role="tree" aria-label={data?.text || 'Timeline'}
+                            style={{ position: 'sticky', left: 0, zIndex: 1, width: `${LABEL_WIDTH}px`, flexShrink: 0, background: theme.canvas, borderRight: `1px solid ${theme.border}`, fontFamily: 'sans-serif', fontSize: '13px' }}
+                        >
+                            <div style={{ height: `${HEADER_HEIGHT}px`, boxSizing: 'border-box', padding: '12px 8px', fontWeight: 'bold' }}>Task</div>
+                            {rows.map(row => {
+                                const background = rowBackground(row);
+                                return (
+                                    <div
+                                        key={row.node.id} role="treeitem" data-node-id={row.node.id} aria-level={row.depth + 1} aria-selected={row.node.id === selectedId}
+                                        tabIndex={row.node.id === focusableId ? 0 : -1} onClick={() => setSelectedId(row.node.id)} title={row.node.text}
+                                        onFocus={(e) => { if (e.target === e.currentTarget) setSelectedId(prev => prev ?? row.node.id); }}
+                                        style={{
+                                            height: `${ROW_HEIGHT}px`, boxSizing: 'border-box', lineHeight: `${ROW_HEIGHT}px`, paddingLeft: `${8 + row.depth * INDENT}px`, paddingRight: '8px',
+                                            overflow: 'hidden', whiteSpace: 'nowrap', textOverflow: 'ellipsis', cursor: 'pointer', outlineOffset: '-2px',
+                                            fontWeight: row.depth <= 1 ? 'bold' : 'normal', borderTop: row.depth === 1 ? `1px solid ${theme.border}` : undefined,
+                                            background: background ? `color-mix(in srgb, ${background} ${row.node.id === selectedId ? 20 : 35}%, ${theme.canvas})` : undefined,
+                                        }}
+                                    >
+                                        {nodeStyles.get(row.node.id)?.icon ? `${nodeStyles.get(row.node.id).icon} ` : ''}{row.node.text}
+                                    </div>
+                                );
+                            })}
+                        </div>
+                        <svg
+                            ref={svgRef} width={timelineWidth} height={HEADER_HEIGHT + bodyHeight} {...pointerHandlers} aria-hidden="true"
+                            style={{ flexShrink: 0, userSelect: 'none', WebkitUserSelect: 'none', WebkitTouchCallout: 'none', touchAction: 'none' }}
+                        >
+                            {rows.map((row, index) => {
+                                const background = rowBackground(row);
+                                return background && (
+                                    <rect key={row.node.id} x="0" y={HEADER_HEIGHT + index * ROW_HEIGHT} width={timelineWidth} height={ROW_HEIGHT} fill={background} opacity={row.node.id === selectedId ? 0.2 : 0.35} />
+                                );
+                            })}
+                            {renderAxis()}
+                            {rows.map(renderBars)}
+                        </svg>
+                    </div>
+                </div>
+                {isDetailPanelOpen && selectedNode && (
+                    <TaskDetailPanel
+                        key={selectedNode.id} node={selectedNode} theme={theme}
+                        onChange={(patch, historyOptions) => updateDetails(selectedNode.id, patch, historyOptions)} onClose={() => setIsDetailPanelOpen(false)}
+                    />
+                )}
+            </div>
+            <div role="status" aria-live="polite" style={visuallyHidden}>{announcement}</div>
+        </div>
+    );
+}
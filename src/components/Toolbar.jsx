@@ -0,0 +1,17 @@
+import React from 'react';
+
+// --- Shared toolbar shown above the editor canvases ---
+const toolbarStyle = { display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '6px', padding: '6px 0' };
+const buttonStyle = { padding: '4px 10px', fontSize: '14px' };
+
+export default function Toolbar({ children }) {
+    return <div className="editor-toolbar" role="toolbar" style={toolbarStyle}>{children}</div>;
+}
+
+export function ToolbarButton({ onClick, disabled, title, children }) {
+    return (
+        <button type="button" onClick={onClick} disabled={disabled} title={title} style={{ ...buttonStyle, opacity: disabled ? 0.5 : 1 }}>
+            {children}
+        </button>
+    );
+}
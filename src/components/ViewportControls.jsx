@@ -0,0 +1,26 @@
+import React from 'react';
+import { ToolbarButton } from './Toolbar';
+
+// --- ViewportControls Component ---
+// Zoom and fit buttons for a `useViewport()` canvas, placed inside a Toolbar.
+// `contentBounds` / `selectionBounds` are corner-based boxes (or null);
+// "Fit selection" is only offered when `selectionBounds` is passed at all.
+// Reset centres `home` (the root) at 100%.
+export default function ViewportControls({ viewport, contentBounds, selectionBounds, home = { x: 0, y: 0 } }) {
+    const { zoom, canZoomIn, canZoomOut, zoomIn, zoomOut, zoomTo, fitBounds, centerOn } = viewport;
+    return (
+        <>
+            <ToolbarButton onClick={zoomOut} disabled={!canZoomOut} title="Zoom out">−</ToolbarButton>
+            <span style={{ fontSize: '14px', minWidth: '48px', textAlign: 'center' }} aria-label="Zoom level">
+                {zoom ? `${Math.round(zoom * 100)}%` : '–'}
+            </span>
+            <ToolbarButton onClick={zoomIn} disabled={!canZoomIn} title="Zoom in">+</ToolbarButton>
+            <ToolbarButton onClick={() => zoomTo(1)} disabled={!zoom} title="Zoom to 100%">100%</ToolbarButton>
+            <ToolbarButton onClick={() => fitBounds(contentBounds)} disabled={!contentBounds} title="Fit the whole map">Fit</ToolbarButton>
+            {selectionBounds !== undefined && (
+                <ToolbarButton onClick={() => fitBounds(selectionBounds)} disabled={!selectionBounds} title="Fit the selected nodes">Fit selection</ToolbarButton>
+            )}
+            <ToolbarButton onClick={() => centerOn(home, { zoom: 1 })} title="Reset view: centre the root at 100%">Reset view</ToolbarButton>
+        </>
+    );
+}
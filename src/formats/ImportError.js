@@ -0,0 +1,34 @@
+// --- ImportError ---
+// Thrown by the format parsers. `problems` lists every issue found as
+// `{ line, message }` (line is 1-based, or null when not tied to a line);
+// the error message summarizes them. `strictness` is set when the file was
+// only rejected at that level and a more lenient one may import it.
+export default class ImportError extends Error {
+    constructor(problems, { format, strictness } = {}) {
+        const list = Array.isArray(problems) ? problems : [problems];
+        const summary = list.map(p => (p.line ? `Line ${p.line}: ${p.message}` : p.message)).join('\n');
+        super(format ? `Could not import ${format} file.\n${summary}` : summary);
+        this.name = 'ImportError';
+        this.format = format;
+        this.problems = list;
+        this.strictness = strictness;
+    }
+}
+
+// Returns a function mapping a character offset in `text` to its 1-based line.
+export const createLineLocator = (text) => {
+    const lineStarts = [0];
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\n') lineStarts.push(i + 1);
+    }
+    return (offset) => {
+        let low = 0;
+        let high = lineStarts.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (lineStarts[mid] <= offset) low = mid;
+            else high = mid - 1;
+        }
+        return low + 1;
+    };
+};
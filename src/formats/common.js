@@ -0,0 +1,108 @@
+import { nextChildId } from '../utils/tree';
+
+// --- Helpers shared by the import/export formats ---
+
+// Properties derived from the tree structure. They are rebuilt on import, so
+// exports leave them out (`task` mirrors `text`, `parentId`/`level` mirror
+// the nesting).
+const DERIVED_FIELDS = new Set(['id', 'text', 'children', 'task', 'parentId', 'level']);
+
+// Fields whose values are not strings, so text-based formats know how to read
+// them back. Anything else that is not a string travels as JSON in `extra`.
+export const FIELD_TYPES = { dailyHours: 'number', collapsed: 'boolean' };
+export const EXTRA_FIELD = 'extra';
+
+// The node properties a format has to carry besides id, text and children.
+export const dataFields = (node) => Object.fromEntries(
+    Object.entries(node).filter(([name, value]) => !DERIVED_FIELDS.has(name) && value !== undefined)
+);
+
+// `[name, string]` pairs for attribute-based formats (OPML, FreeMind).
+export const encodeFields = (node, { skip = [] } = {}) => {
+    const fields = [];
+    const extra = {};
+    Object.entries(dataFields(node)).forEach(([name, value]) => {
+        if (skip.includes(name)) return;
+        const type = FIELD_TYPES[name];
+        if (type ? typeof value === type : typeof value === 'string' && name !== EXTRA_FIELD) fields.push([name, String(value)]);
+        else extra[name] = value;
+    });
+    if (Object.keys(extra).length > 0) fields.push([EXTRA_FIELD, JSON.stringify(extra)]);
+    return fields;
+};
+
+// Reverse of `encodeFields` for a single pair. Returns the properties to merge
+// into the node; `report(message)` is called for values that cannot be read.
+export const decodeField = (name, raw, report) => {
+    if (name === EXTRA_FIELD) {
+        try {
+            const extra = JSON.parse(raw);
+            if (extra && typeof extra === 'object' && !Array.isArray(extra)) return extra;
+        } catch {
+            // Reported below
+        }
+        report(`"${EXTRA_FIELD}" must hold a JSON object.`);
+        return {};
+    }
+    const type = FIELD_TYPES[name];
+    if (type === 'number') {
+        const number = Number(raw);
+        if (raw.trim() === '' || !Number.isFinite(number)) {
+            report(`"${name}" must be a number, got "${raw}".`);
+            return {};
+        }
+        return { [name]: number };
+    }
+    if (type === 'boolean') {
+        if (raw !== 'true' && raw !== 'false') {
+            report(`"${name}" must be true or false, got "${raw}".`);
+            return {};
+        }
+        return { [name]: raw === 'true' };
+    }
+    return { [name]: raw };
+};
+
+// Depth-first walk over (node, parent, depth).
+export const walk = (node, visit, parent = null, depth = 0) => {
+    visit(node, parent, depth);
+    (node.children || []).forEach(child => walk(child, visit, node, depth + 1));
+};
+
+// --- Finishing an imported tree ---
+// Parsers build plain nodes that may lack ids and carry their source line in
+// `line`. This checks for duplicate ids, hands out `task-1.2` style ids to
+// nodes without one, sets `level` (the depth below the root, as the
+// concentric view expects) and drops the line numbers.
+export const finalizeTree = (root, problems) => {
+    const seen = new Map();
+    walk(root, (node) => {
+        if (node.id === undefined) return;
+        if (seen.has(node.id)) {
+            const first = seen.get(node.id);
+            problems.push({ line: node.line ?? null, message: `Duplicate id "${node.id}" (first used on line ${first ?? '?'}).` });
+        } else {
+            seen.set(node.id, node.line);
+        }
+    });
+    const takenIds = new Set(seen.keys());
+    if (root.id === undefined) {
+        root.id = takenIds.has('root') ? nextChildId({ id: 'root', children: [] }, takenIds) : 'root';
+        takenIds.add(root.id);
+    }
+
+    const finish = (node, depth) => {
+        const { line: _line, children = [], ...rest } = node;
+        const result = { ...rest, children: [] };
+        if (depth > 0) result.level = depth;
+        children.forEach(child => {
+            if (child.id === undefined) {
+                child.id = nextChildId(result, takenIds);
+                takenIds.add(child.id);
+            }
+            result.children.push(finish(child, depth + 1));
+        });
+        return result;
+    };
+    return finish(root, 0);
+};
@@ -0,0 +1,80 @@
+import ImportError, { createLineLocator } from './ImportError';
+import { STRICTNESS_LEVELS, buildFlatDataFromTree, buildTreeFromFlatData } from '../utils/flatTasks';
+
+// --- Flat task JSON ---
+// The array our planning pipeline produces:
+//   [{ id, parentId, date, dailyStartTime, dailyHours, task, motivation }, …]
+// Top-level tasks have `parentId: null`; the map's root node is implicit, so
+// the importer names it after `rootText` (the file name in the UI). Any other
+// node fields are written as extra record properties and read back as-is.
+//
+// Records are built and checked by utils/flatTasks.js; `renumber` rewrites the
+// ids to the exported hierarchy. With the default `strictness` of 'reject' any
+// problem fails the import; the lenient levels build the tree anyway and pass
+// what they repaired or left out to `report(problem)`, where problems carry
+// the diagnostic's `severity`.
+const FORMAT = 'task JSON';
+
+function serialize(tree, { renumber = false } = {}) {
+    return `${JSON.stringify(buildFlatDataFromTree(tree, { renumber }).records, null, 2)}\n`;
+}
+
+// V8 reports "… at position 123" (older) or "(line 4 column 7)" (newer)
+const syntaxErrorLine = (err, lineAt) => {
+    const lineMatch = err.message.match(/line (\d+)/);
+    if (lineMatch) return Number(lineMatch[1]);
+    const positionMatch = err.message.match(/position (\d+)/);
+    return positionMatch ? lineAt(Number(positionMatch[1])) : null;
+};
+
+// Records don't carry positions after JSON.parse: where each element of the
+// top-level array of `text` (valid JSON) starts, by record index. Repeated
+// ids or records without one are still told apart.
+const recordOffsets = (text) => {
+    const offsets = [];
+    let depth = 0;
+    let inString = false;
+    let expectsRecord = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inString) {
+            if (char === '\\') i++;
+            else if (char === '"') inString = false;
+            continue;
+        }
+        if (expectsRecord && depth === 1 && !/[\s\]]/.test(char)) {
+            offsets.push(i);
+            expectsRecord = false;
+        }
+        if (char === '"') inString = true;
+        else if (char === '[' || char === '{') expectsRecord = ++depth === 1;
+        else if (char === ']' || char === '}') depth--;
+        else if (char === ',' && depth === 1) expectsRecord = true;
+    }
+    return offsets;
+};
+
+function parse(text, { rootText = 'Imported tasks', strictness = 'reject', report } = {}) {
+    const lineAt = createLineLocator(text);
+    let records;
+    try {
+        records = JSON.parse(text);
+    } catch (err) {
+        throw new ImportError({ line: syntaxErrorLine(err, lineAt), message: `Invalid JSON: ${err.message}` }, { format: FORMAT });
+    }
+    if (!Array.isArray(records)) throw new ImportError({ line: 1, message: 'Expected an array of task records.' }, { format: FORMAT });
+
+    const offsets = recordOffsets(text);
+    const toProblem = (diagnostic) => ({
+        line: diagnostic.index === null ? null : lineAt(offsets[diagnostic.index]), message: diagnostic.message, severity: diagnostic.severity,
+    });
+
+    const { tree, diagnostics } = buildTreeFromFlatData(records, { rootText, strictness });
+    if (!tree) throw new ImportError(diagnostics.map(toProblem), { format: FORMAT, strictness });
+    diagnostics.forEach(diagnostic => report?.(toProblem(diagnostic)));
+    return tree;
+}
+
+export default {
+    id: 'tasks', label: 'Task JSON (flat)', extensions: ['.json'], mimeType: 'application/json', strictnessLevels: STRICTNESS_LEVELS, serialize, parse,
+};
@@ -0,0 +1,71 @@
+import ImportError from './ImportError';
+import { parseXml, childElements, textContent, formatAttributes } from './xml';
+import { encodeFields, decodeField, finalizeTree } from './common';
+
+// --- FreeMind / Freeplane .mm ---
+// `collapsed` maps to the native FOLDED flag; every other field is written as
+// an <attribute NAME="…" VALUE="…"/> child, which both tools show as a table.
+// Rich-text nodes from those tools are imported as their plain text.
+const FORMAT = 'FreeMind';
+
+const serializeNode = (node, indent) => {
+    const attributes = formatAttributes([
+        ['ID', node.id],
+        ['TEXT', node.text ?? ''],
+        ['FOLDED', node.collapsed ? 'true' : undefined],
+    ]);
+    const lines = [`${indent}<node${attributes}>`];
+    encodeFields(node, { skip: ['collapsed'] }).forEach(([name, value]) => {
+        lines.push(`${indent}  <attribute${formatAttributes([['NAME', name], ['VALUE', value]])}/>`);
+    });
+    (node.children || []).forEach(child => lines.push(serializeNode(child, `${indent}  `)));
+    lines.push(`${indent}</node>`);
+    return lines.join('\n');
+};
+
+function serialize(tree) {
+    return ['<map version="1.0.1">', serializeNode(tree, ''), '</map>', ''].join('\n');
+}
+
+function parse(text) {
+    const map = parseXml(text, FORMAT);
+    const problems = [];
+    if (map.name !== 'map') throw new ImportError({ line: map.line, message: `Expected <map> as the root element, found <${map.name}>.` }, { format: FORMAT });
+    const rootElements = childElements(map, 'node');
+    if (rootElements.length !== 1) {
+        throw new ImportError({ line: map.line, message: `A map needs exactly one root <node>, found ${rootElements.length}.` }, { format: FORMAT });
+    }
+
+    const readNode = (element) => {
+        const node = { line: element.line };
+        const report = (line) => (message) => problems.push({ line, message });
+        if (element.attributes.ID !== undefined) node.id = element.attributes.ID;
+
+        let label = element.attributes.TEXT;
+        if (label === undefined) {
+            const rich = childElements(element, 'richcontent').find(r => (r.attributes.TYPE || 'NODE') === 'NODE');
+            if (rich) label = textContent(rich).replace(/\s+/g, ' ').trim();
+        }
+        if (label === undefined) problems.push({ line: element.line, message: '<node> has neither a TEXT attribute nor rich text content.' });
+        node.text = label ?? '';
+
+        if (element.attributes.FOLDED !== undefined) Object.assign(node, decodeField('collapsed', element.attributes.FOLDED, report(element.line)));
+        childElements(element, 'attribute').forEach(attribute => {
+            const { NAME: name, VALUE: value } = attribute.attributes;
+            if (!name) {
+                problems.push({ line: attribute.line, message: '<attribute> has no NAME.' });
+                return;
+            }
+            Object.assign(node, decodeField(name, value ?? '', report(attribute.line)));
+        });
+        node.children = childElements(element, 'node').map(readNode);
+        if (node.children.length === 0) delete node.collapsed; // A folded leaf has nothing to hide
+        return node;
+    };
+
+    const tree = finalizeTree(readNode(rootElements[0]), problems);
+    if (problems.length > 0) throw new ImportError(problems, { format: FORMAT });
+    return tree;
+}
+
+export default { id: 'freemind', label: 'FreeMind / Freeplane', extensions: ['.mm'], mimeType: 'application/x-freemind', serialize, parse };
@@ -0,0 +1,45 @@
+import opmlFormat from './opml';
+import freemindFormat from './freemind';
+import flatJsonFormat from './flatJson';
+import { markdownFormat, textOutlineFormat } from './markdown';
+import ImportError from './ImportError';
+
+// --- Import / export formats ---
+// Every format is `{ id, label, extensions, mimeType, serialize(tree, options)
+// -> string, parse(text, options) -> tree }`. `parse` throws an ImportError listing the
+// offending lines when a file is malformed.
+//
+// Formats that can import a file with problems anyway list the `strictness`
+// levels their `parse` accepts in `strictnessLevels` (see utils/flatTasks.js);
+// what they repaired or left out goes to `options.report({ line, message })`.
+export const FORMATS = [opmlFormat, markdownFormat, textOutlineFormat, freemindFormat, flatJsonFormat];
+
+export { ImportError };
+
+export const getFormat = (id) => FORMATS.find(format => format.id === id) ?? null;
+
+export const findFormatForFile = (fileName) => {
+    const name = fileName.toLowerCase();
+    return FORMATS.find(format => format.extensions.some(ext => name.endsWith(ext))) ?? null;
+};
+
+const baseName = (fileName) => fileName.replace(/^.*[\\/]/, '').replace(/\.[^.]+$/, '');
+
+// `options` go to the format's `parse`, next to the file name as `rootText`.
+export function importTree(text, fileName, options = {}) {
+    const format = findFormatForFile(fileName);
+    if (!format) {
+        const known = FORMATS.flatMap(f => f.extensions).join(', ');
+        throw new ImportError({ line: null, message: `Unknown file type "${fileName}". Supported: ${known}.` });
+    }
+    return format.parse(text, { rootText: baseName(fileName), ...options });
+}
+
+// Returns `{ text, fileName, mimeType }` ready for download. `options` go to
+// the format's `serialize`.
+export function exportTree(tree, formatId, title = tree.text, options) {
+    const format = getFormat(formatId);
+    if (!format) throw new Error(`Unknown export format "${formatId}".`);
+    const safeTitle = (title || 'mindmap').replace(/[\\/:*?"<>|]+/g, '_').trim() || 'mindmap';
+    return { text: format.serialize(tree, options), fileName: `${safeTitle}${format.extensions[0]}`, mimeType: format.mimeType };
+}
@@ -0,0 +1,140 @@
+import ImportError from './ImportError';
+import { dataFields, finalizeTree, walk } from './common';
+
+// --- Markdown and plain-text outlines ---
+// Markdown export writes the root as a heading and every other node as a
+// nested "- " list item. Ids and task fields ride along in a trailing HTML
+// comment (`<!-- {"id":"task-1","dailyHours":6} -->`), which renderers hide,
+// so the file round-trips without loss. Line breaks show as `<br>`; text the
+// list item can't hold as it is (surrounding spaces, a typed `<br>`) is kept
+// exactly in the comment too, and `--` is escaped there so the comment can't
+// end early. The plain-text outline is the same tree as tab-indented lines
+// without any metadata.
+//
+// Both share one parser: list markers ("-", "*", "+", "1.") are optional,
+// nesting comes from indentation (a tab counts as four spaces), and a file
+// with a single top-level line uses that line as the root.
+
+// The last comment on the line: the JSON never contains "-->"
+const METADATA_PATTERN = /\s*<!--\s*(\{(?:(?!-->).)*\})\s*-->\s*$/;
+const BULLET_PATTERN = /^(?:[-*+]|\d+[.)])\s+(.*)$/;
+const HEADING_PATTERN = /^#{1,6}\s+(.*)$/;
+
+const encodeText = (text) => (text ?? '').replace(/\r?\n/g, '<br>');
+const decodeText = (text) => text.replace(/<br\s*\/?>/gi, '\n');
+// Whether the parser reads `text` back as it is from the list item alone
+const survivesListItem = (text) => text === text.trim() && decodeText(encodeText(text)) === text && !METADATA_PATTERN.test(text);
+
+const metadataComment = (node) => {
+    const text = node.text ?? '';
+    const metadata = { id: node.id, ...(!survivesListItem(text) && { text }), ...dataFields(node) };
+    return ` <!-- ${JSON.stringify(metadata).replace(/--/g, '\\u002d\\u002d')} -->`;
+};
+
+function serializeMarkdown(tree) {
+    const lines = [`# ${encodeText(tree.text)}${metadataComment(tree)}`, ''];
+    walk(tree, (node, parent, depth) => {
+        if (depth === 0) return;
+        lines.push(`${'  '.repeat(depth - 1)}- ${encodeText(node.text)}${metadataComment(node)}`);
+    });
+    lines.push('');
+    return lines.join('\n');
+}
+
+function serializeTextOutline(tree) {
+    const lines = [];
+    walk(tree, (node, parent, depth) => lines.push(`${'\t'.repeat(depth)}${(node.text ?? '').replace(/\r?\n/g, ' ')}`));
+    lines.push('');
+    return lines.join('\n');
+}
+
+const parseOutline = (format) => (text) => {
+    const problems = [];
+    const lines = text.split(/\r?\n/);
+    const usesBullets = lines.some(line => BULLET_PATTERN.test(line.trim()));
+    let heading = null;
+    const topLevel = [];
+    const stack = []; // Open items as { indent, node }
+
+    const makeNode = (label, line) => {
+        const node = { line, text: '', children: [] };
+        const metadata = label.match(METADATA_PATTERN);
+        let exactText;
+        if (metadata) {
+            label = label.slice(0, metadata.index);
+            try {
+                const { id, text, children: _children, ...fields } = JSON.parse(metadata[1]);
+                if (id !== undefined) node.id = String(id);
+                if (typeof text === 'string') exactText = text;
+                Object.assign(node, fields);
+            } catch {
+                problems.push({ line, message: 'The metadata comment is not valid JSON.' });
+            }
+        }
+        node.text = exactText ?? decodeText(label);
+        // Keep `id` and `text` first, like nodes created elsewhere
+        const { id, text: nodeText, ...rest } = node;
+        return id === undefined ? { text: nodeText, ...rest } : { id, text: nodeText, ...rest };
+    };
+
+    lines.forEach((raw, index) => {
+        const line = index + 1;
+        if (!raw.trim()) return;
+        const indentText = raw.match(/^[ \t]*/)[0];
+        const indent = indentText.replace(/\t/g, '    ').length;
+        const content = raw.slice(indentText.length).trimEnd();
+
+        const headingMatch = indent === 0 && content.match(HEADING_PATTERN);
+        if (headingMatch) {
+            if (heading || topLevel.length > 0) {
+                problems.push({ line, message: 'Only one heading (the map title) is allowed, and it must come before the first item.' });
+            } else {
+                heading = makeNode(headingMatch[1], line);
+            }
+            return;
+        }
+
+        const bulletMatch = content.match(BULLET_PATTERN);
+        if (!bulletMatch && usesBullets) {
+            // Lazy continuation of the previous item's text
+            const previous = stack[stack.length - 1];
+            if (previous && indent > previous.indent) {
+                previous.node.text = `${previous.node.text}\n${decodeText(content)}`;
+            } else {
+                problems.push({ line, message: `Expected a list item ("- text"), found "${content}".` });
+            }
+            return;
+        }
+
+        const node = makeNode(bulletMatch ? bulletMatch[1] : content, line);
+        let popped = null;
+        while (stack.length > 0 && stack[stack.length - 1].indent >= indent) popped = stack.pop();
+        if (popped && popped.indent !== indent) {
+            problems.push({ line, message: 'The indentation does not line up with any item above.' });
+        }
+        const parent = stack[stack.length - 1];
+        if (parent) parent.node.children.push(node);
+        else topLevel.push(node);
+        stack.push({ indent, node });
+    });
+
+    let root;
+    if (heading) root = { ...heading, children: topLevel };
+    else if (topLevel.length === 1) root = topLevel[0];
+    else if (topLevel.length > 1) root = { text: 'Imported outline', line: 1, children: topLevel };
+    else problems.push({ line: null, message: 'The file contains no outline items.' });
+
+    const tree = root && finalizeTree(root, problems);
+    if (problems.length > 0) throw new ImportError(problems.sort((a, b) => (a.line ?? 0) - (b.line ?? 0)), { format });
+    return tree;
+};
+
+export const markdownFormat = {
+    id: 'markdown', label: 'Markdown outline', extensions: ['.md', '.markdown'], mimeType: 'text/markdown',
+    serialize: serializeMarkdown, parse: parseOutline('Markdown'),
+};
+
+export const textOutlineFormat = {
+    id: 'text', label: 'Plain-text outline', extensions: ['.txt'], mimeType: 'text/plain',
+    serialize: serializeTextOutline, parse: parseOutline('text outline'),
+};
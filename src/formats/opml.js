@@ -0,0 +1,72 @@
+import ImportError from './ImportError';
+import { parseXml, childElements, escapeXml, formatAttributes } from './xml';
+import { encodeFields, decodeField, finalizeTree } from './common';
+
+// --- OPML 2.0 ---
+// The root node is written as the single top-level <outline> (most outliners
+// and mind-map tools do the same), with the map title repeated in <head>.
+// Ids and task fields become plain outline attributes, which OPML allows.
+const FORMAT = 'OPML';
+
+const serializeOutline = (node, indent) => {
+    const attributes = formatAttributes([['text', node.text ?? ''], ['id', node.id], ...encodeFields(node)]);
+    const children = node.children || [];
+    if (children.length === 0) return `${indent}<outline${attributes}/>`;
+    return [
+        `${indent}<outline${attributes}>`,
+        ...children.map(child => serializeOutline(child, `${indent}  `)),
+        `${indent}</outline>`,
+    ].join('\n');
+};
+
+function serialize(tree) {
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<opml version="2.0">',
+        '  <head>',
+        `    <title>${escapeXml(tree.text ?? '')}</title>`,
+        `    <dateModified>${new Date().toUTCString()}</dateModified>`,
+        '  </head>',
+        '  <body>',
+        serializeOutline(tree, '    '),
+        '  </body>',
+        '</opml>',
+        '',
+    ].join('\n');
+}
+
+function parse(text) {
+    const opml = parseXml(text, FORMAT);
+    const problems = [];
+    if (opml.name !== 'opml') throw new ImportError({ line: opml.line, message: `Expected <opml> as the root element, found <${opml.name}>.` }, { format: FORMAT });
+    const body = childElements(opml, 'body')[0];
+    if (!body) throw new ImportError({ line: opml.line, message: 'The file has no <body>.' }, { format: FORMAT });
+    const title = childElements(childElements(opml, 'head')[0] || { children: [] }, 'title')[0];
+
+    const readOutline = (element) => {
+        const node = { line: element.line, children: [] };
+        const { text: label, id, ...fields } = element.attributes;
+        if (id !== undefined) node.id = id;
+        if (label === undefined) problems.push({ line: element.line, message: '<outline> has no "text" attribute.' });
+        node.text = label ?? '';
+        Object.entries(fields).forEach(([name, raw]) => {
+            Object.assign(node, decodeField(name, raw, message => problems.push({ line: element.line, message })));
+        });
+        node.children = childElements(element, 'outline').map(readOutline);
+        return node;
+    };
+
+    const outlines = childElements(body, 'outline').map(readOutline);
+    let root;
+    if (outlines.length === 1) {
+        root = outlines[0];
+    } else {
+        const titleText = title ? title.children.filter(c => typeof c === 'string').join('').trim() : '';
+        root = { text: titleText || 'Imported outline', line: body.line, children: outlines };
+    }
+    const tree = finalizeTree(root, problems);
+    if (problems.length > 0) throw new ImportError(problems, { format: FORMAT });
+    return tree;
+}
+
+export default { id: 'opml', label: 'OPML', extensions: ['.opml'], mimeType: 'text/x-opml', serialize, parse };
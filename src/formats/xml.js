@@ -0,0 +1,132 @@
+import ImportError, { createLineLocator } from './ImportError';
+
+// --- Minimal XML reader / writer for OPML and FreeMind files ---
+// DOMParser does not report where a *valid* element sits in the file, so
+// semantic errors ("missing TEXT on line 12") would lose their line numbers.
+// This reader handles what those formats use (elements, attributes, text,
+// comments, CDATA, the XML declaration and DOCTYPE) and records the line of
+// every element.
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+const NAME_PATTERN = /[A-Za-z_:][-A-Za-z0-9_:.]*/y;
+
+const decodeEntities = (raw, fail) => raw.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[A-Za-z]+);?/g, (match, entity) => {
+    if (!match.endsWith(';')) fail(`Unterminated entity "${match}".`);
+    if (entity[0] === '#') {
+        const code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+        return String.fromCodePoint(code);
+    }
+    if (!(entity in ENTITIES)) fail(`Unknown entity "&${entity};".`);
+    return ENTITIES[entity];
+});
+
+// Parses `text` into `{ name, attributes, children, line }` elements (text
+// content appears in `children` as strings). Throws ImportError on malformed input.
+export function parseXml(text, format) {
+    let pos = 0;
+    const lineAt = createLineLocator(text);
+    const fail = (message, at = pos) => { throw new ImportError({ line: lineAt(at), message }, { format }); };
+    const readName = () => {
+        NAME_PATTERN.lastIndex = pos;
+        const match = NAME_PATTERN.exec(text);
+        if (!match) fail('Expected a tag or attribute name.');
+        pos += match[0].length;
+        return match[0];
+    };
+    const skipSpace = () => { while (pos < text.length && /\s/.test(text[pos])) pos++; };
+    const skipPast = (terminator, what) => {
+        const end = text.indexOf(terminator, pos);
+        if (end === -1) fail(`Unterminated ${what}.`);
+        const content = text.slice(pos, end);
+        pos = end + terminator.length;
+        return content;
+    };
+
+    const root = { name: '#document', attributes: {}, children: [], line: 1 };
+    const stack = [root];
+
+    while (pos < text.length) {
+        const lt = text.indexOf('<', pos);
+        const chunk = text.slice(pos, lt === -1 ? text.length : lt);
+        if (chunk.trim()) {
+            if (stack.length === 1) fail('Text outside of the root element.', pos + chunk.search(/\S/));
+            const start = pos;
+            stack[stack.length - 1].children.push(decodeEntities(chunk, (m) => fail(m, start)));
+        }
+        if (lt === -1) break;
+        pos = lt;
+
+        if (text.startsWith('<!--', pos)) { pos += 4; skipPast('-->', 'comment'); continue; }
+        if (text.startsWith('<?', pos)) { pos += 2; skipPast('?>', 'processing instruction'); continue; }
+        if (text.startsWith('<![CDATA[', pos)) {
+            pos += 9;
+            if (stack.length === 1) fail('CDATA outside of the root element.');
+            stack[stack.length - 1].children.push(skipPast(']]>', 'CDATA section'));
+            continue;
+        }
+        if (text.startsWith('<!', pos)) { pos += 2; skipPast('>', 'declaration'); continue; }
+
+        if (text[pos + 1] === '/') {
+            const tagStart = pos;
+            pos += 2;
+            const name = readName();
+            skipSpace();
+            if (text[pos] !== '>') fail(`Expected ">" to close </${name}.`);
+            pos++;
+            const open = stack.pop();
+            if (stack.length === 0 || open.name !== name) {
+                fail(stack.length === 0 ? `Unexpected closing tag </${name}>.` : `Closing tag </${name}> does not match <${open.name}> opened on line ${open.line}.`, tagStart);
+            }
+            continue;
+        }
+
+        const tagStart = pos;
+        pos++;
+        const element = { name: readName(), attributes: {}, children: [], line: lineAt(tagStart) };
+        let selfClosing = false;
+        for (;;) {
+            skipSpace();
+            if (pos >= text.length) fail(`Unterminated tag <${element.name}>.`, tagStart);
+            if (text.startsWith('/>', pos)) { pos += 2; selfClosing = true; break; }
+            if (text[pos] === '>') { pos++; break; }
+            const attrStart = pos;
+            const attr = readName();
+            skipSpace();
+            if (text[pos] !== '=') fail(`Attribute "${attr}" has no value.`, attrStart);
+            pos++;
+            skipSpace();
+            const quote = text[pos];
+            if (quote !== '"' && quote !== "'") fail(`Value of attribute "${attr}" must be quoted.`);
+            pos++;
+            const valueStart = pos;
+            const raw = skipPast(quote, `value of attribute "${attr}"`);
+            if (raw.includes('<')) fail(`Value of attribute "${attr}" contains "<".`, valueStart);
+            if (attr in element.attributes) fail(`Duplicate attribute "${attr}".`, attrStart);
+            element.attributes[attr] = decodeEntities(raw, (m) => fail(m, valueStart));
+        }
+        const parent = stack[stack.length - 1];
+        if (parent === root && root.children.length > 0) fail('More than one root element.', tagStart);
+        parent.children.push(element);
+        if (!selfClosing) stack.push(element);
+    }
+
+    if (stack.length > 1) {
+        const open = stack[stack.length - 1];
+        throw new ImportError({ line: open.line, message: `<${open.name}> is never closed.` }, { format });
+    }
+    const documentElement = root.children.find(c => typeof c !== 'string');
+    if (!documentElement) throw new ImportError({ line: null, message: 'The file contains no XML elements.' }, { format });
+    return documentElement;
+}
+
+export const childElements = (element, name) => element.children.filter(c => typeof c !== 'string' && (!name || c.name === name));
+export const textContent = (element) => element.children.map(c => (typeof c === 'string' ? c : textContent(c))).join('');
+
+// --- Writing ---
+export const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;').replace(/\n/g, '&#10;').replace(/\r/g, '&#13;').replace(/\t/g, '&#9;');
+
+export const formatAttributes = (attributes) => attributes
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => ` ${name}="${escapeXml(value)}"`).join('');
@@ -0,0 +1,183 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { createDocumentId, toDocumentMeta } from '../utils/storage';
+
+// --- Constants ---
+const DEFAULT_AUTOSAVE_DELAY = 800;
+
+const now = () => new Date().toISOString();
+const byUpdatedAtDesc = (a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || '');
+const newDocument = (title, tree) => {
+    const timestamp = now();
+    return { id: createDocumentId(), title, createdAt: timestamp, updatedAt: timestamp, tree: tree ?? { id: 'root', text: title, children: [] } };
+};
+
+// --- useDocuments Hook ---
+// Keeps a list of saved maps in a storage adapter (see utils/storage.js) and
+// the currently open one in memory. `updateTree` autosaves with a debounce;
+// every other operation writes immediately. When the store is empty, the
+// `seed` document ({ title, tree }) is created.
+//
+// `status.state` is one of 'loading' | 'pending' | 'saving' | 'saved' | 'error'.
+// On 'error', `status.error` holds the StorageError and `status.failed` says
+// what failed: 'save' keeps the unsaved document so `flush()` (or the next
+// edit) can retry; 'read' and 'delete' leave the current map as it was.
+export default function useDocuments(adapter, { seed, autosaveDelay = DEFAULT_AUTOSAVE_DELAY } = {}) {
+    const [documents, setDocuments] = useState([]);
+    const [current, setCurrent] = useState(null);
+    const [status, setStatus] = useState({ state: 'loading', error: null });
+
+    const currentRef = useRef(null);
+    const pendingRef = useRef(null);
+    const timerRef = useRef(null);
+    const seedRef = useRef(seed);
+
+    const setCurrentDocument = useCallback((doc) => {
+        currentRef.current = doc;
+        setCurrent(doc);
+    }, []);
+
+    const writeDocument = useCallback(async (doc) => {
+        setStatus({ state: 'saving', error: null });
+        try {
+            await adapter.write(doc);
+            setStatus({ state: 'saved', error: null, savedAt: doc.updatedAt });
+            setDocuments(prev => [toDocumentMeta(doc), ...prev.filter(meta => meta.id !== doc.id)].sort(byUpdatedAtDesc));
+            return true;
+        } catch (error) {
+            setStatus({ state: 'error', error, failed: 'save' });
+            return false;
+        }
+    }, [adapter]);
+
+    // Null when the document doesn't exist or could not be read
+    const readDocument = useCallback(async (id) => {
+        try {
+            return await adapter.read(id);
+        } catch (error) {
+            setStatus({ state: 'error', error, failed: 'read' });
+            return null;
+        }
+    }, [adapter]);
+
+    // Writes the pending autosave right away. Resolves to false if it failed.
+    const flush = useCallback(async () => {
+        clearTimeout(timerRef.current);
+        const doc = pendingRef.current;
+        if (!doc) return true;
+        pendingRef.current = null;
+        const ok = await writeDocument(doc);
+        if (!ok && !pendingRef.current) pendingRef.current = doc;
+        return ok;
+    }, [writeDocument]);
+
+    const updateTree = useCallback((tree) => {
+        const doc = currentRef.current;
+        if (!doc || doc.tree === tree) return;
+        const next = { ...doc, tree, updatedAt: now() };
+        setCurrentDocument(next);
+        pendingRef.current = next;
+        setStatus({ state: 'pending', error: null });
+        clearTimeout(timerRef.current);
+        timerRef.current = setTimeout(flush, autosaveDelay);
+    }, [autosaveDelay, flush, setCurrentDocument]);
+
+    const open = useCallback(async (id) => {
+        await flush();
+        const doc = await readDocument(id);
+        if (doc) setCurrentDocument(doc);
+    }, [flush, readDocument, setCurrentDocument]);
+
+    const create = useCallback(async (title = 'Untitled map', tree) => {
+        await flush();
+        const doc = newDocument(title, tree);
+        setCurrentDocument(doc);
+        if (!await writeDocument(doc)) pendingRef.current = doc;
+        return doc;
+    }, [flush, writeDocument, setCurrentDocument]);
+
+    const rename = useCallback(async (id, title) => {
+        const isCurrent = currentRef.current?.id === id;
+        const doc = isCurrent ? currentRef.current : await readDocument(id);
+        if (!doc) return;
+        const renamed = { ...doc, title, updatedAt: now() };
+        if (isCurrent) {
+            // The renamed copy already contains any pending tree changes
+            clearTimeout(timerRef.current);
+            pendingRef.current = null;
+            setCurrentDocument(renamed);
+        }
+        if (!await writeDocument(renamed) && isCurrent) pendingRef.current = renamed;
+    }, [readDocument, writeDocument, setCurrentDocument]);
+
+    const duplicate = useCallback(async (id) => {
+        await flush();
+        const source = await readDocument(id);
+        if (!source) return null;
+        return create(`${source.title} (copy)`, source.tree);
+    }, [flush, readDocument, create]);
+
+    const remove = useCallback(async (id) => {
+        if (currentRef.current?.id === id) {
+            clearTimeout(timerRef.current);
+            pendingRef.current = null;
+        } else {
+            await flush();
+        }
+        try {
+            await adapter.remove(id);
+        } catch (error) {
+            setStatus({ state: 'error', error, failed: 'delete' });
+            return;
+        }
+        const remaining = documents.filter(meta => meta.id !== id);
+        setDocuments(remaining);
+        if (currentRef.current?.id !== id) return;
+        // The deleted map can't stay open: fall back to a new one if the next can't be read
+        const next = remaining.length ? await readDocument(remaining[0].id) : null;
+        if (next) setCurrentDocument(next);
+        else await create(seedRef.current?.title, seedRef.current?.tree);
+    }, [adapter, documents, flush, readDocument, create, setCurrentDocument]);
+
+    // Initial load: open the most recently modified map, or create the seed
+    useEffect(() => {
+        let cancelled = false;
+        (async () => {
+            try {
+                const list = (await adapter.list()).sort(byUpdatedAtDesc);
+                if (cancelled) return;
+                let doc = list.length ? await adapter.read(list[0].id) : null;
+                if (cancelled) return;
+                if (!doc) {
+                    doc = newDocument(seedRef.current?.title ?? 'Untitled map', seedRef.current?.tree);
+                    await adapter.write(doc);
+                    list.unshift(toDocumentMeta(doc));
+                }
+                if (cancelled) return;
+                setDocuments(list);
+                setCurrentDocument(doc);
+                setStatus({ state: 'saved', error: null, savedAt: doc.updatedAt });
+            } catch (error) {
+                if (cancelled) return;
+                // Keep working on the seed so nothing typed from now on is lost for this tab
+                const doc = newDocument(seedRef.current?.title ?? 'Untitled map', seedRef.current?.tree);
+                pendingRef.current = doc;
+                setCurrentDocument(doc);
+                setStatus({ state: 'error', error, failed: 'save' });
+            }
+        })();
+        return () => { cancelled = true; };
+    }, [adapter, setCurrentDocument]);
+
+    // Don't drop a pending autosave when the tab closes or the page unmounts.
+    // (localStorage writes are synchronous, so this completes in time.)
+    useEffect(() => {
+        const handleBeforeUnload = () => { flush(); };
+        window.addEventListener('beforeunload', handleBeforeUnload);
+        return () => {
+            window.removeEventListener('beforeunload', handleBeforeUnload);
+            flush();
+        };
+    }, [flush]);
+
+    return { documents, current, status, updateTree, open, create, rename, duplicate, remove, flush };
+}
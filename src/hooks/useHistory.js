@@ -0,0 +1,87 @@
+import { useReducer, useRef, useCallback, useMemo } from 'react';
+
+// --- Constants ---
+const DEFAULT_LIMIT = 100;
+
+// --- Reducer ---
+// `group` remembers which group produced the newest entry, so that further
+// changes carrying the same group key are folded into that entry instead of
+// creating new undo steps.
+function historyReducer(state, action) {
+    switch (action.type) {
+        case 'set': {
+            const next = typeof action.updater === 'function' ? action.updater(state.present) : action.updater;
+            if (next === state.present) return state;
+            if (action.group && action.group === state.group) {
+                return { ...state, present: next, future: [] };
+            }
+            const past = [...state.past, state.present];
+            if (action.limit > 0 && past.length > action.limit) past.splice(0, past.length - action.limit);
+            return { past, present: next, future: [], group: action.group || null };
+        }
+        case 'undo': {
+            if (state.past.length === 0) return state;
+            const previous = state.past[state.past.length - 1];
+            return { past: state.past.slice(0, -1), present: previous, future: [state.present, ...state.future], group: null };
+        }
+        case 'redo': {
+            if (state.future.length === 0) return state;
+            const [next, ...future] = state.future;
+            return { past: [...state.past, state.present], present: next, future, group: null };
+        }
+        case 'reset':
+            return { past: [], present: action.present, future: [], group: null };
+        default:
+            return state;
+    }
+}
+
+// --- useHistory Hook ---
+// Drop-in replacement for `useState` that keeps an undo/redo stack.
+// `set` accepts a value or an updater like `setState`. Every call is one undo
+// step, unless it happens between `beginGroup()` and `endGroup()` (or passes
+// the same `{ group }` key as the previous call), in which case all changes
+// of the group are undone together. At most `limit` steps are kept.
+export default function useHistory(initialPresent, { limit = DEFAULT_LIMIT } = {}) {
+    const [state, dispatch] = useReducer(historyReducer, initialPresent, present => ({ past: [], present, future: [], group: null }));
+    const groupRef = useRef(null);
+    const groupCounterRef = useRef(0);
+
+    const set = useCallback((updater, options = {}) => {
+        // `group: null` records a step of its own even inside a group
+        dispatch({ type: 'set', updater, group: options.group === undefined ? groupRef.current : options.group, limit });
+    }, [limit]);
+    const undo = useCallback(() => dispatch({ type: 'undo' }), []);
+    const redo = useCallback(() => dispatch({ type: 'redo' }), []);
+    const reset = useCallback((present) => dispatch({ type: 'reset', present }), []);
+
+    const beginGroup = useCallback(() => {
+        groupCounterRef.current += 1;
+        groupRef.current = `group-${groupCounterRef.current}`;
+    }, []);
+    const endGroup = useCallback(() => { groupRef.current = null; }, []);
+    // The group a `set` made now would join, for callers that record later
+    const currentGroup = useCallback(() => groupRef.current, []);
+
+    return useMemo(() => ({
+        present: state.present,
+        set, undo, redo, reset, beginGroup, endGroup, currentGroup,
+        canUndo: state.past.length > 0,
+        canRedo: state.future.length > 0,
+        // The values `undo()` / `redo()` would restore
+        previous: state.past[state.past.length - 1],
+        next: state.future[0],
+    }), [state, set, undo, redo, reset, beginGroup, endGroup, currentGroup]);
+}
+
+// --- Keyboard Helper ---
+// Maps Ctrl/Cmd+Z, Ctrl/Cmd+Shift+Z and Ctrl/Cmd+Y to 'undo' / 'redo'.
+// Text fields keep their native undo, so key presses inside them are ignored.
+export function getHistoryShortcut(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return null;
+    if (e.target.closest?.('input, textarea')) return null;
+    const key = e.key.toLowerCase();
+    if (key === 'z') return e.shiftKey ? 'redo' : 'undo';
+    if (key === 'y' && !e.shiftKey) return 'redo';
+    return null;
+}
@@ -0,0 +1,167 @@
+import { useRef, useCallback, useEffect } from 'react';
+
+// --- Constants ---
+// Screen pixels a pointer may move before a press becomes a drag; fingers
+// wobble more than a mouse
+const DRAG_THRESHOLD = { mouse: 4, pen: 6, touch: 10 };
+const LONG_PRESS_MS = 500;
+const DOUBLE_TAP_MS = 350;
+
+const thresholdFor = (pointerType) => DRAG_THRESHOLD[pointerType] ?? DRAG_THRESHOLD.touch;
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+
+// --- usePointerGestures Hook ---
+// Turns the pointer events of one element into gestures, the same way for
+// mouse, pen and touch:
+//   tap         press and release without moving past the threshold;
+//               `gesture.tapCount` is 2 for the second tap of a double tap
+//   drag        one pointer moved past the threshold (start / move / end);
+//               `gesture.dx` / `dy` is the movement since the last event
+//   long press  a pen or finger held still for LONG_PRESS_MS. Releasing it
+//               then reports `onLongPressEnd`; moving turns it into a drag
+//               with `gesture.afterLongPress` set
+//   pinch       two pointers down: `onPinch({ scale, centre, dx, dy })` per
+//               move, with the zoom factor and the movement of the centre
+//               between the fingers (client pixels). A drag in progress is
+//               ended with `{ cancelled: true }` first.
+//
+// `onPress(event)` decides whether a pointer takes part: it returns what was
+// pressed (handed on as `gesture.target`), or null to leave it alone. Once a
+// drag or pinch starts the pointers are captured, so it keeps going outside
+// the element; taps leave click and double-click events as they are. Spread
+// the returned handlers onto the element (with `touch-action: none`).
+export default function usePointerGestures(handlers) {
+    const handlersRef = useRef(handlers);
+    useEffect(() => { handlersRef.current = handlers; });
+
+    // `pointers`: position of every pointer down; `gesture`: the one-pointer
+    // gesture in progress; `pinch`: the two-pointer one
+    const stateRef = useRef({ pointers: new Map(), gesture: null, pinch: null, timer: null, lastTap: null });
+
+    const clearTimer = useCallback(() => {
+        clearTimeout(stateRef.current.timer);
+        stateRef.current.timer = null;
+    }, []);
+    useEffect(() => clearTimer, [clearTimer]);
+
+    const endGesture = useCallback((e, cancelled) => {
+        const state = stateRef.current;
+        const { gesture } = state;
+        clearTimer();
+        state.gesture = null;
+        if (!gesture) return;
+        if (gesture.mode === 'drag') {
+            handlersRef.current.onDragEnd?.(gesture, e, { cancelled });
+        } else if (cancelled) {
+            return;
+        } else if (gesture.mode === 'longPress') {
+            handlersRef.current.onLongPressEnd?.(gesture, e);
+        } else {
+            const { lastTap } = state;
+            const isDoubleTap = lastTap && e.timeStamp - lastTap.time < DOUBLE_TAP_MS && lastTap.pointerType === gesture.pointerType
+                && distance(lastTap, gesture) < thresholdFor(gesture.pointerType) * 3;
+            gesture.tapCount = isDoubleTap ? 2 : 1;
+            state.lastTap = isDoubleTap ? null : { time: e.timeStamp, pointerType: gesture.pointerType, x: gesture.x, y: gesture.y };
+            handlersRef.current.onTap?.(gesture, e);
+        }
+    }, [clearTimer]);
+
+    const onPointerDown = useCallback((e) => {
+        const state = stateRef.current;
+        // A pointer released outside the element before it was captured
+        // never reported its release; drop what it left behind
+        if (state.pointers.delete(e.pointerId)) {
+            if (state.gesture?.pointerId === e.pointerId) endGesture(e, true);
+            if (state.pointers.size === 0) state.pinch = null;
+        }
+        if (state.pointers.size >= 2) return;
+
+        if (state.pointers.size === 1) {
+            // A second finger turns whatever the first one did into a pinch
+            if (e.pointerType !== 'touch' || (!state.gesture && !state.pinch)) return;
+            state.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            state.pointers.forEach((_, pointerId) => e.currentTarget.setPointerCapture?.(pointerId));
+            endGesture(e, true);
+            const [a, b] = Array.from(state.pointers.values());
+            state.pinch = { distance: distance(a, b), centre: midpoint(a, b) };
+            return;
+        }
+
+        const target = handlersRef.current.onPress ? handlersRef.current.onPress(e) : e.target;
+        if (target === null || target === undefined) return;
+        state.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        state.pinch = null;
+        state.gesture = {
+            pointerId: e.pointerId, pointerType: e.pointerType || 'mouse', target,
+            startX: e.clientX, startY: e.clientY, x: e.clientX, y: e.clientY, dx: 0, dy: 0,
+            mode: 'press', afterLongPress: false,
+        };
+        if (state.gesture.pointerType !== 'mouse') {
+            state.timer = setTimeout(() => {
+                const { gesture } = stateRef.current;
+                if (!gesture || gesture.mode !== 'press') return;
+                gesture.mode = 'longPress';
+                handlersRef.current.onLongPress?.(gesture);
+            }, LONG_PRESS_MS);
+        }
+    }, [endGesture]);
+
+    const onPointerMove = useCallback((e) => {
+        const state = stateRef.current;
+        if (!state.pointers.has(e.pointerId)) return;
+        state.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+        if (state.pinch) {
+            if (state.pointers.size < 2) return;
+            const [a, b] = Array.from(state.pointers.values());
+            const nextDistance = distance(a, b);
+            const centre = midpoint(a, b);
+            handlersRef.current.onPinch?.({
+                scale: state.pinch.distance > 0 ? nextDistance / state.pinch.distance : 1,
+                centre, dx: centre.x - state.pinch.centre.x, dy: centre.y - state.pinch.centre.y,
+            });
+            state.pinch = { distance: nextDistance, centre };
+            return;
+        }
+
+        const { gesture } = state;
+        if (!gesture || gesture.pointerId !== e.pointerId) return;
+        gesture.dx = e.clientX - gesture.x;
+        gesture.dy = e.clientY - gesture.y;
+        gesture.x = e.clientX;
+        gesture.y = e.clientY;
+        if (gesture.mode !== 'drag') {
+            const moved = Math.hypot(e.clientX - gesture.startX, e.clientY - gesture.startY);
+            if (moved < thresholdFor(gesture.pointerType)) return;
+            clearTimer();
+            e.currentTarget.setPointerCapture?.(e.pointerId);
+            gesture.afterLongPress = gesture.mode === 'longPress';
+            gesture.mode = 'drag';
+            // The first move covers the whole way from the press
+            gesture.dx = e.clientX - gesture.startX;
+            gesture.dy = e.clientY - gesture.startY;
+            handlersRef.current.onDragStart?.(gesture, e);
+        }
+        handlersRef.current.onDragMove?.(gesture, e);
+    }, [clearTimer]);
+
+    const finishPointer = useCallback((e, cancelled) => {
+        const state = stateRef.current;
+        if (!state.pointers.delete(e.pointerId)) return;
+        if (state.pinch) {
+            // The gesture is over once the last finger lifts
+            if (state.pointers.size === 0) {
+                state.pinch = null;
+                handlersRef.current.onPinchEnd?.();
+            }
+            return;
+        }
+        if (state.gesture?.pointerId === e.pointerId) endGesture(e, cancelled);
+    }, [endGesture]);
+
+    const onPointerUp = useCallback((e) => finishPointer(e, false), [finishPointer]);
+    const onPointerCancel = useCallback((e) => finishPointer(e, true), [finishPointer]);
+
+    return { onPointerDown, onPointerMove, onPointerUp, onPointerCancel };
+}
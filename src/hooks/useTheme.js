@@ -0,0 +1,16 @@
+import { createContext, useContext, useMemo } from 'react';
+import { resolveTheme } from '../themes';
+
+// Theme picked by the nearest ThemeProvider; `setThemeId` is null without one
+export const ThemeContext = createContext({ themeId: undefined, setThemeId: null });
+
+// --- useTheme Hook ---
+// Resolves the theme a map view draws with: its own `theme` prop (an id or a
+// theme object) wins over the ThemeProvider's choice. `setTheme` switches the
+// provider's theme, and is null when the view's theme is fixed by its prop
+// or there is no provider.
+export default function useTheme(theme) {
+    const { themeId, setThemeId } = useContext(ThemeContext);
+    const resolved = useMemo(() => resolveTheme(theme ?? themeId), [theme, themeId]);
+    return { theme: resolved, setTheme: theme === undefined ? setThemeId : null };
+}
@@ -0,0 +1,196 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+
+// --- Constants ---
+// Used until the map has been fitted to the canvas
+const DEFAULT_VIEW_BOX = { x: -600, y: -500, width: 1200, height: 1000 };
+const MIN_ZOOM = 0.05; // Screen pixels per map unit
+const MAX_ZOOM = 4;
+const ZOOM_STEP = 1.25; // Per click on + / −
+const WHEEL_ZOOM_STEP = 1.1; // Per wheel notch
+const FIT_MARGIN = 60; // Space around the content when the view is fitted to it
+const ANIMATION_MS = 350;
+
+// --- Geometry Helpers ---
+// Bounds `{ x, y, width, height }` (top-left corner) of centre-based boxes, or
+// null when there are none
+export const getBoxesBounds = (boxes) => {
+    const list = Array.from(boxes);
+    if (list.length === 0) return null;
+    const left = Math.min(...list.map(b => b.x - b.width / 2));
+    const right = Math.max(...list.map(b => b.x + b.width / 2));
+    const top = Math.min(...list.map(b => b.y - b.height / 2));
+    const bottom = Math.max(...list.map(b => b.y + b.height / 2));
+    return { x: left, y: top, width: right - left, height: bottom - top };
+};
+
+const easeInOut = (t) => (t < 0.5 ? 2 * t * t : 1 - (-2 * t + 2) ** 2 / 2);
+
+// Resizes `viewBox` around its centre so the zoom stays within the limits.
+// Without a measured canvas the zoom is unknown and nothing is clamped.
+const clampViewBox = (viewBox, size, minZoom, maxZoom) => {
+    if (!size) return viewBox;
+    const width = Math.min(Math.max(viewBox.width, size.width / maxZoom), size.width / minZoom);
+    if (width === viewBox.width) return viewBox;
+    const height = viewBox.height * (width / viewBox.width);
+    return { x: viewBox.x + (viewBox.width - width) / 2, y: viewBox.y + (viewBox.height - height) / 2, width, height };
+};
+
+// --- useViewport Hook ---
+// Pan / zoom state of an <svg> canvas, shared by the map views. The viewBox
+// always has the canvas' aspect ratio (once measured), and the zoom — screen
+// pixels per map unit, 1 being 100% — stays between `minZoom` and `maxZoom`.
+//
+// Besides the raw `viewBox`, it offers wheel zoom around the cursor, stepped
+// zoom around the centre, fitting to bounds, centring on a point and animated
+// transitions. Any direct interaction cancels a running animation.
+export default function useViewport(svgRef, { minZoom = MIN_ZOOM, maxZoom = MAX_ZOOM } = {}) {
+    const [viewBox, setViewBoxState] = useState(DEFAULT_VIEW_BOX);
+    const [size, setSize] = useState(null);
+    const sizeRef = useRef(null);
+    const animationRef = useRef(null);
+
+    // Canvas size in screen pixels, kept up to date while it is resized
+    useEffect(() => {
+        const svg = svgRef.current;
+        if (!svg) return undefined;
+        const measure = () => {
+            const { width, height } = svg.getBoundingClientRect();
+            const next = width > 0 && height > 0 ? { width, height } : null;
+            sizeRef.current = next;
+            setSize(prev => (prev?.width === next?.width && prev?.height === next?.height ? prev : next));
+        };
+        measure();
+        if (typeof ResizeObserver === 'undefined') return undefined;
+        const observer = new ResizeObserver(measure);
+        observer.observe(svg);
+        return () => observer.disconnect();
+    }, [svgRef]);
+
+    const aspectOf = useCallback((current) => {
+        const measured = sizeRef.current;
+        return measured ? measured.width / measured.height : current.width / current.height;
+    }, []);
+
+    // Accepts a viewBox or an updater, like `setState`
+    const setViewBox = useCallback((next) => {
+        setViewBoxState(prev => clampViewBox(typeof next === 'function' ? next(prev) : next, sizeRef.current, minZoom, maxZoom));
+    }, [minZoom, maxZoom]);
+
+    // Keeps the aspect ratio in step with the canvas
+    useEffect(() => {
+        if (!size) return;
+        setViewBox(prev => {
+            const height = prev.width / (size.width / size.height);
+            if (Math.abs(height - prev.height) < 1e-6) return prev;
+            return { ...prev, y: prev.y + (prev.height - height) / 2, height };
+        });
+    }, [size, setViewBox]);
+
+    // --- Animation ---
+    const cancelAnimation = useCallback(() => {
+        cancelAnimationFrame(animationRef.current);
+        animationRef.current = null;
+    }, []);
+    useEffect(() => cancelAnimation, [cancelAnimation]);
+
+    // `getTarget(currentViewBox)` returns where the view should end up
+    const animateTo = useCallback((getTarget) => {
+        cancelAnimation();
+        let from = null;
+        let target = null;
+        let startTime = null;
+        const frame = (time) => {
+            startTime ??= time;
+            const t = Math.min((time - startTime) / ANIMATION_MS, 1);
+            const k = easeInOut(t);
+            setViewBox(prev => {
+                from ??= prev;
+                target ??= clampViewBox(getTarget(prev), sizeRef.current, minZoom, maxZoom);
+                return {
+                    x: from.x + (target.x - from.x) * k, y: from.y + (target.y - from.y) * k,
+                    width: from.width + (target.width - from.width) * k, height: from.height + (target.height - from.height) * k,
+                };
+            });
+            animationRef.current = t < 1 ? requestAnimationFrame(frame) : null;
+        };
+        animationRef.current = requestAnimationFrame(frame);
+    }, [cancelAnimation, setViewBox, minZoom, maxZoom]);
+
+    const moveTo = useCallback((getTarget, animate) => {
+        if (animate) {
+            animateTo(getTarget);
+        } else {
+            cancelAnimation();
+            setViewBox(getTarget);
+        }
+    }, [animateTo, cancelAnimation, setViewBox]);
+
+    // --- Navigation ---
+    // Smallest view that shows `bounds` (corner-based) plus `margin`
+    const fitBounds = useCallback((bounds, { animate = true, margin = FIT_MARGIN } = {}) => {
+        if (!bounds) return;
+        moveTo(current => {
+            const aspect = aspectOf(current);
+            const width = Math.max(bounds.width + margin * 2, (bounds.height + margin * 2) * aspect);
+            const height = width / aspect;
+            return { x: bounds.x + (bounds.width - width) / 2, y: bounds.y + (bounds.height - height) / 2, width, height };
+        }, animate);
+    }, [moveTo, aspectOf]);
+
+    // Centres the view on `point`, optionally at a given zoom
+    const centerOn = useCallback((point, { zoom, animate = true } = {}) => {
+        moveTo(current => {
+            const width = zoom && sizeRef.current ? sizeRef.current.width / zoom : current.width;
+            const height = width / aspectOf(current);
+            return { x: point.x - width / 2, y: point.y - height / 2, width, height };
+        }, animate);
+    }, [moveTo, aspectOf]);
+
+    // Zooms by `factor` (> 1 zooms in) keeping the map point under
+    // `clientPoint` in place, or the centre when there is none
+    const zoomBy = useCallback((factor, clientPoint) => {
+        cancelAnimation();
+        const svg = svgRef.current;
+        setViewBox(prev => {
+            const rect = svg?.getBoundingClientRect();
+            const fx = clientPoint && rect?.width ? (clientPoint.x - rect.left) / rect.width : 0.5;
+            const fy = clientPoint && rect?.height ? (clientPoint.y - rect.top) / rect.height : 0.5;
+            const next = clampViewBox({ ...prev, width: prev.width / factor, height: prev.height / factor }, sizeRef.current, minZoom, maxZoom);
+            return { x: prev.x + (prev.width - next.width) * fx, y: prev.y + (prev.height - next.height) * fy, width: next.width, height: next.height };
+        });
+    }, [svgRef, cancelAnimation, setViewBox, minZoom, maxZoom]);
+
+    const zoomIn = useCallback(() => zoomBy(ZOOM_STEP), [zoomBy]);
+    const zoomOut = useCallback(() => zoomBy(1 / ZOOM_STEP), [zoomBy]);
+
+    // Sets the zoom (1 = 100%) around the centre
+    const zoomTo = useCallback((zoom) => {
+        if (!sizeRef.current) return;
+        zoomBy(viewBox.width / (sizeRef.current.width / zoom));
+    }, [zoomBy, viewBox.width]);
+
+    // Moves the map by a distance in screen pixels (a pan drag)
+    const panBy = useCallback((dx, dy) => {
+        cancelAnimation();
+        const svg = svgRef.current;
+        if (!svg) return;
+        setViewBox(prev => {
+            const scale = prev.width / (svg.clientWidth || sizeRef.current?.width || prev.width);
+            return { ...prev, x: prev.x - dx * scale, y: prev.y - dy * scale };
+        });
+    }, [svgRef, cancelAnimation, setViewBox]);
+
+    const handleWheel = useCallback((e) => {
+        e.preventDefault();
+        zoomBy(e.deltaY < 0 ? WHEEL_ZOOM_STEP : 1 / WHEEL_ZOOM_STEP, { x: e.clientX, y: e.clientY });
+    }, [zoomBy]);
+
+    return {
+        viewBox, setViewBox,
+        zoom: size ? size.width / viewBox.width : null,
+        canZoomIn: !size || size.width / viewBox.width < maxZoom * 0.999,
+        canZoomOut: !size || size.width / viewBox.width > minZoom * 1.001,
+        fitBounds, centerOn, zoomBy, zoomIn, zoomOut, zoomTo, panBy, handleWheel,
+        animateTo, cancelAnimation,
+    };
+}
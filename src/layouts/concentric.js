@@ -0,0 +1,129 @@
+// --- Concentric layout ---
+// Geometry of ConcentricTaskViewer: the root fills a disc in the middle and
+// every level below it gets a ring around it, as many as the tree is deep.
+// Each task is a bar pointing outwards across its ring. Like the radial
+// layout, every subtree owns a wedge in proportion to its leaf count, going
+// clockwise from the first branch at the top, and a task sits in the middle
+// of its wedge, so children fan out right next to their parent.
+//
+// Bars get thinner as their wedge narrows, down to MIN_BAR_HEIGHT; a ring is
+// pushed outwards until even its narrowest bar fits at that height.
+const CENTRE_RADIUS = 120;
+const RING_WIDTH = 227;
+const RING_PADDING = 12; // Between a bar and the edges of its ring, where the connectors run
+const MAX_BAR_HEIGHT = 22;
+const MIN_BAR_HEIGHT = 6;
+const BAR_GAP = 2; // Free space between neighbouring bars at their inner end
+const MIN_HIT_HEIGHT = 12; // Thin bars still catch a drop this wide
+
+const DEGREES = 180 / Math.PI;
+
+// Point at `radius` in the direction `angle` (degrees, clockwise from the x axis)
+export const polarPoint = (radius, angle) => ({ x: radius * Math.cos(angle / DEGREES), y: radius * Math.sin(angle / DEGREES) });
+
+const countLeaves = (node, weights) => {
+    const children = node.children || [];
+    const weight = children.length === 0 ? 1 : children.reduce((sum, child) => sum + countLeaves(child, weights), 0);
+    weights.set(node.id, weight);
+    return weight;
+};
+
+// Returns `{ rootId, rings, bars, centreRadius, radius }`:
+//   rings         [{ level, inner, outer, taskIds }] from the inside out, the
+//                 tasks of each in clockwise order
+//   bars          Map<taskId, { node, level, parentId, angle, inner, outer,
+//                 height }>, the angle in degrees and `inner` / `outer` the
+//                 radii the bar spans (the root is not a bar)
+//   centreRadius  of the root's disc
+//   radius        of the whole wheel
+export function computeConcentricLayout(tree) {
+    const bars = new Map();
+    const levels = [];
+    if (!tree) return { rootId: null, rings: [], bars, centreRadius: CENTRE_RADIUS, radius: CENTRE_RADIUS };
+    const weights = new Map();
+    countLeaves(tree, weights);
+
+    // Angles first, with each wedge's sweep for the bar thickness
+    const placeWedge = (node, level, startAngle, sweep) => {
+        const total = weights.get(node.id);
+        let cursor = startAngle;
+        (node.children || []).forEach(child => {
+            const childSweep = sweep * (weights.get(child.id) / total);
+            bars.set(child.id, { node: child, level, parentId: node.id, angle: (cursor + childSweep / 2) * DEGREES, sweep: childSweep });
+            (levels[level - 1] ||= []).push(child.id);
+            placeWedge(child, level + 1, cursor, childSweep);
+            cursor += childSweep;
+        });
+    };
+    const firstChild = tree.children?.[0];
+    const firstSweep = firstChild ? 2 * Math.PI * (weights.get(firstChild.id) / weights.get(tree.id)) : 0;
+    placeWedge(tree, 1, -Math.PI / 2 - firstSweep / 2, 2 * Math.PI);
+
+    // Then the ring edges from the inside out. A ring that starts too close
+    // to the centre for its narrowest bar widens the ring inside it instead.
+    const edges = [CENTRE_RADIUS];
+    levels.forEach((taskIds, index) => {
+        const narrowest = Math.min(...taskIds.map(id => bars.get(id).sweep));
+        const start = Math.max(edges[index], (MIN_BAR_HEIGHT + BAR_GAP) / narrowest - RING_PADDING);
+        edges[index] = start;
+        edges.push(start + RING_WIDTH);
+    });
+
+    const rings = levels.map((taskIds, index) => {
+        const inner = edges[index];
+        const outer = edges[index + 1];
+        taskIds.forEach(id => {
+            const bar = bars.get(id);
+            const barInner = inner + RING_PADDING;
+            const height = Math.min(MAX_BAR_HEIGHT, Math.max(MIN_BAR_HEIGHT, barInner * bar.sweep - BAR_GAP));
+            const { sweep: _sweep, ...rest } = bar;
+            bars.set(id, { ...rest, inner: barInner, outer: outer - RING_PADDING, height });
+        });
+        return { level: index + 1, inner, outer, taskIds };
+    });
+    return { rootId: tree.id, rings, bars, centreRadius: edges[0], radius: edges[edges.length - 1] };
+}
+
+// Connector from the outer end of a parent's bar to the inner end of its
+// child's, bending along the ring edge between them
+export const concentricConnectorPath = (parent, child) => {
+    const edge = (parent.outer + child.inner) / 2;
+    const start = polarPoint(parent.outer, parent.angle);
+    const c1 = polarPoint(edge, parent.angle);
+    const c2 = polarPoint(edge, child.angle);
+    const end = polarPoint(child.inner, child.angle);
+    return `M ${start.x},${start.y} C ${c1.x},${c1.y} ${c2.x},${c2.y} ${end.x},${end.y}`;
+};
+
+// Signed difference `angle - from` in degrees, from -180 to 180
+const angleBetween = (from, angle) => ((((angle - from + 180) % 360) + 360) % 360) - 180;
+
+// Where a task dropped at `point` goes, as `{ targetId, position }` for
+// moveNode: onto a bar is 'inside' it, onto the centre disc 'inside' the
+// root, and onto the free part of a ring 'before' / 'after' the nearest bar
+// of that ring (anticlockwise / clockwise). Null outside the wheel.
+// `ignoreIds` are never targets, e.g. the bars being dragged.
+export const getConcentricDropTarget = (layout, point, ignoreIds = []) => {
+    const distance = Math.hypot(point.x, point.y);
+    if (distance < layout.centreRadius) return layout.rootId ? { targetId: layout.rootId, position: 'inside' } : null;
+    const angle = Math.atan2(point.y, point.x) * DEGREES;
+    const ring = layout.rings.find(r => distance >= r.inner && distance < r.outer);
+    if (!ring) return null;
+
+    let nearest = null;
+    ring.taskIds.forEach(id => {
+        if (ignoreIds.includes(id)) return;
+        const bar = layout.bars.get(id);
+        const delta = angleBetween(bar.angle, angle);
+        if (!nearest || Math.abs(delta) < Math.abs(nearest.delta)) nearest = { id, bar, delta };
+    });
+    if (!nearest) return null;
+    const { bar, delta } = nearest;
+    // Distance along the bar and across it
+    const along = distance * Math.cos(delta / DEGREES);
+    const across = distance * Math.sin(delta / DEGREES);
+    if (along >= bar.inner && along <= bar.outer && Math.abs(across) <= Math.max(bar.height, MIN_HIT_HEIGHT) / 2) {
+        return { targetId: nearest.id, position: 'inside' };
+    }
+    return { targetId: nearest.id, position: delta < 0 ? 'before' : 'after' };
+};
@@ -0,0 +1,77 @@
+import radialLayout from './radial';
+import { rightTreeLayout, balancedTreeLayout, orgChartLayout } from './tree';
+
+// --- Layout engines ---
+// A layout turns a tree into node boxes for MindMapEditor:
+//   {
+//     id, label,
+//     shape: 'circle' | 'rect',
+//     compute(tree) -> Map<nodeId, { x, y, width, height, childSide }>,
+//     connectorPath(parentBox, childBox) -> SVG path data,
+//     linkPath(fromBox, toBox, positions) -> { d, label: { x, y }, end: { x, y, angle } },
+//     navigation: 'structure' | 'spatial',
+//   }
+// `compute` places every visible node (use `visibleChildren` from utils/tree
+// to skip collapsed branches). `x`/`y` is the centre of the node and
+// `childSide` ('right' | 'left' | 'bottom') is where its children hang off,
+// which is where the collapse toggle goes. Connectors are drawn behind the
+// nodes. `navigation` picks how arrow keys move between nodes: along the
+// tree (parent / children / siblings, using `childSide`) or to the nearest
+// node on screen in that direction.
+//
+// `linkPath` draws a cross-link (see utils/links.js) from edge to edge of
+// two nodes: the path data, where its label goes and the point and
+// direction (in degrees) it arrives at, for the arrowhead. `positions` is
+// what `compute` returned, for layouts that route links around other nodes.
+const straightConnector = (parent, child) => `M ${parent.x},${parent.y} L ${child.x},${child.y}`;
+
+// Where the line from the centre of `box` towards `point` leaves the box
+const boxEdge = (box, point) => {
+    const dx = point.x - box.x;
+    const dy = point.y - box.y;
+    const scale = Math.min(dx ? box.width / 2 / Math.abs(dx) : Infinity, dy ? box.height / 2 / Math.abs(dy) : Infinity);
+    return Number.isFinite(scale) && scale < 1 ? { x: box.x + dx * scale, y: box.y + dy * scale } : box;
+};
+
+// A curve bowed to the left of its direction, so links both ways between
+// the same two nodes don't overlap
+const curvedLink = (from, to) => {
+    const start = boxEdge(from, to);
+    const end = boxEdge(to, from);
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const bow = { x: dy * 0.2, y: -dx * 0.2 };
+    const c1 = { x: start.x + dx / 3 + bow.x, y: start.y + dy / 3 + bow.y };
+    const c2 = { x: start.x + (dx * 2) / 3 + bow.x, y: start.y + (dy * 2) / 3 + bow.y };
+    return {
+        d: `M ${start.x},${start.y} C ${c1.x},${c1.y} ${c2.x},${c2.y} ${end.x},${end.y}`,
+        label: { x: start.x + dx / 2 + bow.x * 0.75, y: start.y + dy / 2 + bow.y * 0.75 },
+        end: { ...end, angle: Math.atan2(end.y - c2.y, end.x - c2.x) * (180 / Math.PI) },
+    };
+};
+
+const normalizeLayout = (layout) => ({ shape: 'rect', connectorPath: straightConnector, linkPath: curvedLink, navigation: 'structure', label: layout.id, ...layout });
+
+const registry = new Map();
+
+// Adds a layout to the editor's switcher (or replaces one with the same id).
+export function registerLayout(layout) {
+    if (!layout?.id || typeof layout.compute !== 'function') throw new Error('A layout needs an "id" and a "compute(tree)" function.');
+    const normalized = normalizeLayout(layout);
+    registry.set(normalized.id, normalized);
+    return normalized;
+}
+
+export const getLayout = (id) => registry.get(id) ?? null;
+
+export const listLayouts = () => Array.from(registry.values());
+
+// A registered id or an unregistered layout object; falls back to radial
+export const resolveLayout = (layout) => {
+    if (layout && typeof layout === 'object') return registry.get(layout.id) === layout ? layout : normalizeLayout(layout);
+    return registry.get(layout) ?? registry.get(radialLayout.id);
+};
+
+[radialLayout, rightTreeLayout, balancedTreeLayout, orgChartLayout].forEach(registerLayout);
+
+export { radialLayout, rightTreeLayout, balancedTreeLayout, orgChartLayout };
@@ -0,0 +1,216 @@
+import { visibleChildren } from '../utils/tree';
+
+// --- Radial layout ---
+// The root sits in the middle and each depth gets a ring around it. Every
+// subtree owns a wedge of the circle in proportion to its (visible) leaf
+// count, going clockwise from the first branch at the top; children split
+// their parent's wedge the same way and sit in the middle of their share, so
+// a branch never leaves its parent's wedge.
+//
+// Ring radii start from the spacing below and are pushed out until
+// neighbours on the same ring are `NODE_GAP` apart and consecutive rings
+// don't touch, so no two nodes overlap at any depth.
+const NODE_RADIUS_L1 = 90; // Radius for main tasks
+const NODE_RADIUS_L2 = 60; // Radius for sub-tasks
+const NODE_RADIUS_L3 = 45; // Radius for sub-sub-tasks and deeper
+
+const RADIAL_DISTANCE_L1 = 300; // Minimum distance of tasks from center
+const RADIAL_DISTANCE_L2 = 180; // Minimum distance between the task and sub-task rings
+const RADIAL_DISTANCE_L3 = 140; // Minimum distance between deeper rings
+
+const NODE_GAP = 20; // Free space between neighbouring nodes
+
+const NODE_RADII = [NODE_RADIUS_L1, NODE_RADIUS_L2, NODE_RADIUS_L3];
+const RING_SPACING = [0, RADIAL_DISTANCE_L1, RADIAL_DISTANCE_L2, RADIAL_DISTANCE_L3];
+
+const nodeRadius = (depth) => NODE_RADII[Math.min(depth, NODE_RADII.length - 1)];
+const ringSpacing = (depth) => RING_SPACING[Math.min(depth, RING_SPACING.length - 1)];
+
+// Visible leaves below (and including) each node
+const countLeaves = (node, weights) => {
+    const children = visibleChildren(node);
+    const weight = children.length === 0 ? 1 : children.reduce((sum, child) => sum + countLeaves(child, weights), 0);
+    weights.set(node.id, weight);
+    return weight;
+};
+
+// Ring radius at which angularly adjacent nodes (sorted by angle) keep their distance
+const radiusForNeighbours = (entries, radius) => {
+    if (entries.length < 2) return 0;
+    let required = 0;
+    entries.forEach((entry, index) => {
+        const isLast = index === entries.length - 1;
+        const next = isLast ? entries[0] : entries[index + 1];
+        const gapAngle = isLast ? next.angle + 2 * Math.PI - entry.angle : next.angle - entry.angle;
+        // Neighbours more than half a turn apart cannot collide
+        if (gapAngle >= Math.PI) return;
+        const chord = 2 * Math.sin(gapAngle / 2);
+        required = Math.max(required, (radius * 2 + NODE_GAP) / chord);
+    });
+    return required;
+};
+
+function compute(tree) {
+    const weights = new Map();
+    countLeaves(tree, weights);
+
+    // Angles first: every node in the middle of its wedge, grouped by depth
+    const rings = [];
+    const placeWedge = (node, depth, startAngle, sweep) => {
+        (rings[depth] ||= []).push({ node, angle: startAngle + sweep / 2 });
+        const children = visibleChildren(node);
+        const total = weights.get(node.id);
+        let cursor = startAngle;
+        children.forEach(child => {
+            const childSweep = sweep * (weights.get(child.id) / total);
+            placeWedge(child, depth + 1, cursor, childSweep);
+            cursor += childSweep;
+        });
+    };
+    // Centre the first branch at the top
+    const firstChild = visibleChildren(tree)[0];
+    const firstSweep = firstChild ? 2 * Math.PI * (weights.get(firstChild.id) / weights.get(tree.id)) : 0;
+    placeWedge(tree, 0, -Math.PI / 2 - firstSweep / 2, 2 * Math.PI);
+
+    // Then ring radii, from the inside out
+    const positions = new Map();
+    let previousRadius = 0;
+    rings.forEach((entries, depth) => {
+        const radius = nodeRadius(depth);
+        let ringRadius = 0;
+        if (depth > 0) {
+            entries.sort((a, b) => a.angle - b.angle);
+            ringRadius = Math.max(
+                previousRadius + ringSpacing(depth),
+                previousRadius + nodeRadius(depth - 1) + radius + NODE_GAP,
+                radiusForNeighbours(entries, radius),
+            );
+        }
+        entries.forEach(({ node, angle }) => {
+            positions.set(node.id, {
+                x: ringRadius * Math.cos(angle),
+                y: ringRadius * Math.sin(angle),
+                width: radius * 2,
+                height: radius * 2,
+                childSide: 'bottom',
+            });
+        });
+        previousRadius = ringRadius;
+    });
+    return positions;
+}
+
+// Straight spokes between the centres; nodes are drawn on top of them
+const connectorPath = (parent, child) => `M ${parent.x},${parent.y} L ${child.x},${child.y}`;
+
+// Cross-links keep to the free bands between the rings, so they pass
+// between nodes instead of across them (a node's ancestors sit on its spoke,
+// right in the way of a straight route inwards). A link leaves the outer
+// node into the band just inside its ring and goes in ring by ring, crossing
+// each one through the gap between nodes that costs the least detour. It
+// then runs along the band just outside the inner node's ring and drops onto
+// it; nodes on the same ring meet in the band inside it. `positions` (every
+// node box) tells where the rings and their gaps are.
+const LINK_ARC_STEP = Math.PI / 48; // Angle between samples along a band
+const LINK_CLEARANCE = NODE_GAP / 4; // Room kept around nodes where a link crosses a ring
+const GAP_SAMPLES = 8;
+
+const polar = (box) => ({ radius: Math.hypot(box.x, box.y), angle: Math.atan2(box.y, box.x) });
+// Signed angle from `from` to `to`, the short way round
+const angleBetween = (from, to) => Math.atan2(Math.sin(to - from), Math.cos(to - from));
+
+// Rings of `boxes` from the centre out:
+//   [{ radius, halfWidth, spans: [{ angle, halfSweep }] }]
+// where every span is the angle a node (and its clearance) takes up
+const collectRings = (boxes) => {
+    const rings = new Map();
+    boxes.forEach(box => {
+        const { radius, angle } = polar(box);
+        const key = Math.round(radius);
+        const ring = rings.get(key) ?? { radius, halfWidth: 0, spans: [] };
+        ring.halfWidth = Math.max(ring.halfWidth, box.width / 2);
+        ring.spans.push({ angle, halfSweep: radius > 0 ? Math.asin(Math.min(1, (box.width / 2 + LINK_CLEARANCE) / radius)) : Math.PI });
+        rings.set(key, ring);
+    });
+    return [...rings.values()].sort((a, b) => a.radius - b.radius);
+};
+
+// Where to cross `ring` going from angle `from` towards angle `to`: the free
+// angle with the shortest way round, pulled a little towards the middle of
+// its gap
+const crossingAngle = (ring, from, to) => {
+    const spans = ring.spans.slice().sort((a, b) => a.angle - b.angle);
+    let best = { angle: from, cost: Infinity };
+    spans.forEach((span, index) => {
+        const next = spans[(index + 1) % spans.length];
+        const start = span.angle + span.halfSweep;
+        const end = next.angle - next.halfSweep + (index === spans.length - 1 ? 2 * Math.PI : 0);
+        if (end <= start) return;
+        for (let i = 1; i < GAP_SAMPLES; i++) {
+            const angle = start + (end - start) * (i / GAP_SAMPLES);
+            const cost = Math.abs(angleBetween(from, angle)) + Math.abs(angleBetween(angle, to)) + Math.abs(i / GAP_SAMPLES - 0.5) * 0.25;
+            if (cost < best.cost) best = { angle, cost };
+        }
+    });
+    return best.angle;
+};
+
+const linkPath = (from, to, positions = new Map()) => {
+    const rings = collectRings([from, to, ...positions.values()]);
+    const ringOf = (radius) => rings.reduce((best, ring, index) => (Math.abs(ring.radius - radius) < Math.abs(rings[best].radius - radius) ? index : best), 0);
+    // Middle of the free band between ring `index` and the one inside it
+    const bandRadius = (index) => {
+        const inside = rings[index - 1] ?? { radius: 0, halfWidth: 0 };
+        return (inside.radius + inside.halfWidth + rings[index].radius - rings[index].halfWidth) / 2;
+    };
+
+    const a = polar(from);
+    const b = polar(to);
+    // Routed from the outer node to the inner one, and turned round if need be
+    const reversed = ringOf(a.radius) < ringOf(b.radius);
+    const [outerBox, innerBox] = reversed ? [to, from] : [from, to];
+    const [outer, inner] = reversed ? [b, a] : [a, b];
+    const outerRing = ringOf(outer.radius);
+    const innerRing = ringOf(inner.radius);
+
+    const points = [];
+    const at = (radius, angle) => points.push({ x: radius * Math.cos(angle), y: radius * Math.sin(angle) });
+    const alongBand = (radius, fromAngle, toAngle) => {
+        const sweep = angleBetween(fromAngle, toAngle);
+        const steps = Math.ceil(Math.abs(sweep) / LINK_ARC_STEP);
+        for (let i = 1; i <= steps; i++) at(radius, fromAngle + sweep * (i / steps));
+    };
+
+    let angle = outer.angle;
+    at(outer.radius - outerBox.width / 2, angle);
+    at(bandRadius(outerRing), angle);
+    if (outerRing === innerRing) {
+        alongBand(bandRadius(outerRing), angle, inner.angle);
+        at(inner.radius - innerBox.width / 2, inner.angle);
+    } else {
+        for (let ring = outerRing - 1; ring > innerRing; ring--) {
+            const crossing = crossingAngle(rings[ring], angle, inner.angle);
+            alongBand(bandRadius(ring + 1), angle, crossing);
+            angle = crossing;
+            at(bandRadius(ring), angle);
+        }
+        if (inner.radius < 1) {
+            // The root: straight in from wherever the link got to
+            at(innerBox.width / 2, angle);
+        } else {
+            alongBand(bandRadius(innerRing + 1), angle, inner.angle);
+            at(inner.radius + innerBox.width / 2, inner.angle);
+        }
+    }
+    if (reversed) points.reverse();
+
+    const end = points[points.length - 1];
+    const beforeEnd = points[points.length - 2];
+    return {
+        d: points.map((p, i) => `${i === 0 ? 'M' : 'L'} ${p.x},${p.y}`).join(' '),
+        label: points[Math.floor(points.length / 2)],
+        end: { ...end, angle: Math.atan2(end.y - beforeEnd.y, end.x - beforeEnd.x) * (180 / Math.PI) },
+    };
+};
+
+export default { id: 'radial', label: 'Radial', shape: 'circle', navigation: 'spatial', compute, connectorPath, linkPath };
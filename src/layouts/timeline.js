@@ -0,0 +1,42 @@
+import { dayFromDate, hoursFromTime } from '../utils/taskFields';
+
+// --- Timeline layout ---
+// Rows and time spans of TimelineView. Times are day numbers (see
+// utils/taskFields.js) with the time of day as the fraction, so a task on
+// 2025-08-01 from 10:00 for 6 hours spans day + 10/24 to day + 16/24.
+// Tasks without a start time are drawn from DEFAULT_START_HOUR; that is only
+// where the bar goes, nothing is written to the task.
+export const DEFAULT_START_HOUR = 9;
+
+// Time span of one task's own bar, or null if it has no valid date
+export const getTaskSpan = (node) => {
+    const day = dayFromDate(node.date);
+    if (day === null) return null;
+    const startHour = hoursFromTime(node.dailyStartTime) ?? DEFAULT_START_HOUR;
+    const hours = typeof node.dailyHours === 'number' && Number.isFinite(node.dailyHours) ? node.dailyHours : 0;
+    return { start: day + startHour / 24, end: day + (startHour + hours) / 24 };
+};
+
+const joinSpans = (a, b) => (a && b ? { start: Math.min(a.start, b.start), end: Math.max(a.end, b.end) } : a ?? b);
+
+// Returns `{ rows, range }`:
+//   rows   [{ node, depth, parentId, branchId, span, summary }] depth first,
+//          the root first with depth 0. `branchId` is the top-level task the
+//          row belongs to (null for the root), `span` the task's own bar and
+//          `summary` the span of its whole branch, for rows with children.
+//          Either is null when nothing in it is scheduled.
+//   range  `{ start, end }` covering every span, or null
+export function computeTimelineRows(tree) {
+    const rows = [];
+    if (!tree) return { rows, range: null };
+    const visit = (node, depth, parentId, branchId) => {
+        const row = { node, depth, parentId, branchId, span: getTaskSpan(node), summary: null };
+        rows.push(row);
+        const children = node.children || [];
+        const childSpans = children.map(child => visit(child, depth + 1, node.id, branchId ?? child.id));
+        if (children.length > 0) row.summary = childSpans.reduce(joinSpans, row.span);
+        return row.summary ?? row.span;
+    };
+    const range = visit(tree, 0, null, null);
+    return { rows, range };
+}
@@ -0,0 +1,130 @@
+import { visibleChildren } from '../utils/tree';
+
+// --- Tree layouts (right-hand, balanced, org chart) ---
+// Each subtree gets its own band across the growth direction, as wide as the
+// larger of its node and its children's bands together, so branches never
+// overlap. Children are centred on their parent within the band.
+const NODE_WIDTH = 180;
+const NODE_HEIGHT = 60;
+const ROOT_WIDTH = 200;
+const ROOT_HEIGHT = 70;
+const LEVEL_GAP = 80; // Between a parent and its children, along the growth direction
+const SIBLING_GAP = 20; // Between neighbouring subtrees
+
+const nodeSize = (depth) => (depth === 0 ? { width: ROOT_WIDTH, height: ROOT_HEIGHT } : { width: NODE_WIDTH, height: NODE_HEIGHT });
+
+// `direction`: 'right' | 'left' | 'down'. `across` is the axis siblings are
+// stacked on (y for horizontal trees, x for the org chart).
+const layoutBranch = (node, depth, direction, origin, positions) => {
+    const horizontal = direction !== 'down';
+    const acrossSize = (size) => (horizontal ? size.height : size.width);
+    const alongSize = (size) => (horizontal ? size.width : size.height);
+
+    // Band sizes first, bottom-up
+    const bands = new Map();
+    const measure = (n, d) => {
+        const children = visibleChildren(n);
+        const childBands = children.reduce((sum, child) => sum + measure(child, d + 1), 0) + SIBLING_GAP * Math.max(children.length - 1, 0);
+        const band = Math.max(acrossSize(nodeSize(d)), childBands);
+        bands.set(n.id, band);
+        return band;
+    };
+
+    const place = (n, d, along, acrossCenter) => {
+        const size = nodeSize(d);
+        const sign = direction === 'left' ? -1 : 1;
+        const center = horizontal
+            ? { x: along + sign * size.width / 2, y: acrossCenter }
+            : { x: acrossCenter, y: along + size.height / 2 };
+        positions.set(n.id, { ...center, ...size, childSide: horizontal ? direction : 'bottom' });
+
+        const children = visibleChildren(n);
+        const total = children.reduce((sum, child) => sum + bands.get(child.id), 0) + SIBLING_GAP * Math.max(children.length - 1, 0);
+        const childAlong = along + sign * (alongSize(size) + LEVEL_GAP);
+        let cursor = acrossCenter - total / 2;
+        children.forEach(child => {
+            const band = bands.get(child.id);
+            place(child, d + 1, childAlong, cursor + band / 2);
+            cursor += band + SIBLING_GAP;
+        });
+    };
+
+    measure(node, depth);
+    place(node, depth, origin.along, origin.across);
+};
+
+// Children of `node` laid out on one side of it, starting at its outer edge
+const layoutChildren = (node, children, direction, positions) => {
+    const box = positions.get(node.id);
+    const along = direction === 'left' ? box.x - box.width / 2 - LEVEL_GAP : box.x + box.width / 2 + LEVEL_GAP;
+    const subtrees = children.map(child => {
+        const branch = new Map();
+        layoutBranch(child, 1, direction, { along, across: 0 }, branch);
+        const ys = Array.from(branch.values());
+        const top = Math.min(...ys.map(p => p.y - p.height / 2));
+        const bottom = Math.max(...ys.map(p => p.y + p.height / 2));
+        return { branch, top, bottom };
+    });
+    const total = subtrees.reduce((sum, s) => sum + (s.bottom - s.top), 0) + SIBLING_GAP * Math.max(subtrees.length - 1, 0);
+    let cursor = box.y - total / 2;
+    subtrees.forEach(({ branch, top, bottom }) => {
+        const offset = cursor - top;
+        branch.forEach((p, id) => positions.set(id, { ...p, y: p.y + offset }));
+        cursor += bottom - top + SIBLING_GAP;
+    });
+};
+
+function computeRightTree(tree) {
+    const positions = new Map();
+    layoutBranch(tree, 0, 'right', { along: -ROOT_WIDTH / 2, across: 0 }, positions);
+    return positions;
+}
+
+// The first half of the root's children (by band size) goes right, the rest left
+function computeBalancedTree(tree) {
+    const positions = new Map();
+    positions.set(tree.id, { x: 0, y: 0, ...nodeSize(0), childSide: 'right' });
+    const children = visibleChildren(tree);
+    const weights = children.map(child => {
+        let count = 0;
+        const countVisible = (n) => { count += 1; visibleChildren(n).forEach(countVisible); };
+        countVisible(child);
+        return count;
+    });
+    const half = weights.reduce((sum, w) => sum + w, 0) / 2;
+    let running = 0;
+    const splitIndex = children.findIndex((_, index) => {
+        running += weights[index];
+        return running >= half;
+    }) + 1;
+    layoutChildren(tree, children.slice(0, splitIndex), 'right', positions);
+    layoutChildren(tree, children.slice(splitIndex), 'left', positions);
+    return positions;
+}
+
+function computeOrgChart(tree) {
+    const positions = new Map();
+    layoutBranch(tree, 0, 'down', { along: -ROOT_HEIGHT / 2, across: 0 }, positions);
+    return positions;
+}
+
+// S-curve from the parent's edge facing the child to the child's near edge
+const horizontalConnector = (parent, child) => {
+    const sign = child.x < parent.x ? -1 : 1;
+    const startX = parent.x + sign * parent.width / 2;
+    const endX = child.x - sign * child.width / 2;
+    const controlX = startX + (endX - startX) / 2;
+    return `M ${startX},${parent.y} C ${controlX},${parent.y} ${controlX},${child.y} ${endX},${child.y}`;
+};
+
+// Elbow from the bottom of the parent to the top of the child
+const orgChartConnector = (parent, child) => {
+    const startY = parent.y + parent.height / 2;
+    const endY = child.y - child.height / 2;
+    const midY = startY + (endY - startY) / 2;
+    return `M ${parent.x},${startY} V ${midY} H ${child.x} V ${endY}`;
+};
+
+export const rightTreeLayout = { id: 'right-tree', label: 'Tree (right)', shape: 'rect', compute: computeRightTree, connectorPath: horizontalConnector };
+export const balancedTreeLayout = { id: 'balanced-tree', label: 'Tree (left/right)', shape: 'rect', compute: computeBalancedTree, connectorPath: horizontalConnector };
+export const orgChartLayout = { id: 'org-chart', label: 'Org chart', shape: 'rect', compute: computeOrgChart, connectorPath: orgChartConnector };
@@ -0,0 +1,135 @@
+// --- Themes ---
+// A theme holds every color the map views draw with:
+//   {
+//     id, label,
+//     canvas, border,              background and frame of the canvas
+//     text, mutedText,             node text, tags
+//     nodeStroke,                  outline of nodes without their own
+//     root: { fill, text },
+//     branches: [{ fill, line }],  palette the top-level branches take in turn;
+//                                  `line` colors their connectors
+//     accent,                      selection, marquee, text fields
+//     match, drop, refused, focusRing,
+//     control: { fill, stroke, text },   collapse toggles
+//     badge: { fill, text },             hidden-children counts
+//     warning: { fill, text },           schedule problem markers
+//     field: { fill, text },             text being edited
+//     ghost: { fill, refusedFill },      node being dragged
+//     minimap: { background, border, item },
+//     wheel: { rings, ringStroke, centerText },
+//   }
+// `wheel.rings` are the ConcentricTaskViewer rings from the outside in.
+// Registered themes show up in the theme switcher (see ThemeProvider).
+const lightTheme = {
+    id: 'light', label: 'Light',
+    canvas: '#ffffff', border: '#cccccc',
+    text: '#333333', mutedText: '#555555',
+    nodeStroke: '#555555',
+    root: { fill: '#ffffff', text: '#333333' },
+    branches: [
+        { fill: '#d4edda', line: '#5cb85c' },
+        { fill: '#cce5ff', line: '#4a90d9' },
+        { fill: '#f8d7da', line: '#d9534f' },
+        { fill: '#fff3cd', line: '#e0a800' },
+        { fill: '#e2d9f3', line: '#8e6cc9' },
+        { fill: '#d1ecf1', line: '#31a2b8' },
+    ],
+    accent: '#007bff', match: '#fd7e14', drop: '#28a745', refused: '#dc3545', focusRing: '#ffbf47',
+    control: { fill: '#ffffff', stroke: '#555555', text: '#333333' },
+    badge: { fill: '#6c757d', text: '#ffffff' },
+    warning: { fill: '#ffc107', text: '#000000' },
+    field: { fill: '#f0f0f0', text: '#333333' },
+    ghost: { fill: '#d0e8ff', refusedFill: '#f8d7da' },
+    minimap: { background: 'rgba(255,255,255,0.9)', border: '#cccccc', item: '#adb5bd' },
+    wheel: { rings: ['#555555', '#777777', '#999999', '#eeeeee'], ringStroke: '#ffffff', centerText: '#000000' },
+};
+
+const darkTheme = {
+    ...lightTheme,
+    id: 'dark', label: 'Dark',
+    canvas: '#1e1e1e', border: '#444444',
+    text: '#e6e6e6', mutedText: '#aaaaaa',
+    nodeStroke: '#8a8a8a',
+    root: { fill: '#2d2d2d', text: '#f5f5f5' },
+    branches: [
+        { fill: '#1f3d2b', line: '#4caf50' },
+        { fill: '#1c3350', line: '#4d9fff' },
+        { fill: '#4a2227', line: '#ef5350' },
+        { fill: '#4a3f1a', line: '#ffca28' },
+        { fill: '#33264d', line: '#b388ff' },
+        { fill: '#173c42', line: '#26c6da' },
+    ],
+    accent: '#4d9fff', match: '#ffa94d', drop: '#4caf50', refused: '#ef5350',
+    control: { fill: '#2d2d2d', stroke: '#aaaaaa', text: '#e6e6e6' },
+    badge: { fill: '#8a8a8a', text: '#1e1e1e' },
+    warning: { fill: '#ffca28', text: '#1e1e1e' },
+    field: { fill: '#2d2d2d', text: '#f5f5f5' },
+    ghost: { fill: '#1c3350', refusedFill: '#4a2227' },
+    minimap: { background: 'rgba(30,30,30,0.9)', border: '#444444', item: '#6c6c6c' },
+    wheel: { rings: ['#2b2b2b', '#383838', '#454545', '#5a5a5a'], ringStroke: '#1e1e1e', centerText: '#f5f5f5' },
+};
+
+// Black and white with saturated accents; branches differ by line only
+const highContrastTheme = {
+    ...lightTheme,
+    id: 'high-contrast', label: 'High contrast',
+    canvas: '#000000', border: '#ffffff',
+    text: '#ffffff', mutedText: '#ffffff',
+    nodeStroke: '#ffffff',
+    root: { fill: '#000000', text: '#ffffff' },
+    branches: [
+        { fill: '#000000', line: '#ffff00' },
+        { fill: '#000000', line: '#00ffff' },
+        { fill: '#000000', line: '#ff00ff' },
+        { fill: '#000000', line: '#00ff00' },
+    ],
+    accent: '#00ffff', match: '#ff9900', drop: '#00ff00', refused: '#ff4040', focusRing: '#ffff00',
+    control: { fill: '#000000', stroke: '#ffffff', text: '#ffffff' },
+    badge: { fill: '#ffffff', text: '#000000' },
+    warning: { fill: '#ffff00', text: '#000000' },
+    field: { fill: '#000000', text: '#ffffff' },
+    ghost: { fill: '#003333', refusedFill: '#330000' },
+    minimap: { background: 'rgba(0,0,0,0.9)', border: '#ffffff', item: '#bbbbbb' },
+    wheel: { rings: ['#000000', '#1a1a1a', '#333333', '#4d4d4d'], ringStroke: '#ffffff', centerText: '#ffffff' },
+};
+
+// Ink-friendly: white fills, black lines and text
+const printTheme = {
+    ...lightTheme,
+    id: 'print', label: 'Print',
+    text: '#000000', mutedText: '#333333',
+    nodeStroke: '#000000',
+    root: { fill: '#ffffff', text: '#000000' },
+    branches: [{ fill: '#ffffff', line: '#000000' }],
+    control: { fill: '#ffffff', stroke: '#000000', text: '#000000' },
+    badge: { fill: '#000000', text: '#ffffff' },
+    warning: { fill: '#000000', text: '#ffffff' },
+    field: { fill: '#ffffff', text: '#000000' },
+    minimap: { background: 'rgba(255,255,255,0.9)', border: '#000000', item: '#999999' },
+    wheel: { rings: ['#ffffff', '#ffffff', '#ffffff', '#ffffff'], ringStroke: '#000000', centerText: '#000000' },
+};
+
+const registry = new Map();
+
+// Adds a theme to the switcher (or replaces one with the same id). Missing
+// colors are taken from the light theme.
+export function registerTheme(theme) {
+    if (!theme?.id) throw new Error('A theme needs an "id".');
+    const normalized = { ...lightTheme, label: theme.id, ...theme };
+    registry.set(normalized.id, normalized);
+    return normalized;
+}
+
+export const getTheme = (id) => registry.get(id) ?? null;
+
+export const listThemes = () => Array.from(registry.values());
+
+// A registered id or an unregistered theme object; falls back to light
+export const resolveTheme = (theme) => {
+    if (theme && typeof theme === 'object') return registry.get(theme.id) === theme ? theme : { ...lightTheme, label: theme.id, ...theme };
+    return registry.get(theme) ?? registry.get(lightTheme.id);
+};
+
+[lightTheme, darkTheme, highContrastTheme, printTheme].forEach(registerTheme);
+
+export { lightTheme, darkTheme, highContrastTheme, printTheme };
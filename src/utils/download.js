@@ -0,0 +1,18 @@
+// --- Browser downloads ---
+
+// Saves a Blob under `fileName` through a temporary object URL.
+export function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Revoke on the next tick; some browsers start the download asynchronously
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export const downloadText = (text, fileName, mimeType = 'text/plain') => (
+    downloadBlob(new Blob([text], { type: `${mimeType};charset=utf-8` }), fileName)
+);
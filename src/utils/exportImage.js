@@ -0,0 +1,221 @@
+// --- SVG / PNG image export ---
+// Renders the full content of a map, not the current pan/zoom viewport, into a
+// standalone SVG. Styles from CSS rules are inlined, and the HTML labels inside
+// <foreignObject> are replaced by native <text>, so the file looks the same in
+// browsers, slide tools and vector editors (most of which ignore foreignObject)
+// and can be drawn onto a canvas for PNG output without tainting it.
+//
+// Elements marked with `data-export="ignore"` (drag ghosts, drop markers) are
+// left out.
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Presentation properties worth carrying over from CSS rules
+const SVG_STYLE_PROPERTIES = [
+    'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray', 'stroke-linecap',
+    'stroke-linejoin', 'opacity', 'font-family', 'font-size', 'font-weight', 'font-style', 'text-anchor',
+    'dominant-baseline', 'visibility', 'display',
+];
+
+const defaultStylesCache = new Map();
+
+// Computed style of a fresh element of the same tag, to skip values that
+// would apply anyway
+const getDefaultStyle = (tagName) => {
+    if (!defaultStylesCache.has(tagName)) {
+        const scratch = document.createElementNS(SVG_NS, 'svg');
+        scratch.style.cssText = 'position:absolute;width:0;height:0;overflow:hidden';
+        const element = document.createElementNS(SVG_NS, tagName);
+        scratch.appendChild(element);
+        document.body.appendChild(scratch);
+        const computed = window.getComputedStyle(element);
+        defaultStylesCache.set(tagName, Object.fromEntries(SVG_STYLE_PROPERTIES.map(name => [name, computed.getPropertyValue(name)])));
+        scratch.remove();
+    }
+    return defaultStylesCache.get(tagName);
+};
+
+const inlineStyles = (source, target) => {
+    const computed = window.getComputedStyle(source);
+    const defaults = getDefaultStyle(source.tagName);
+    SVG_STYLE_PROPERTIES.forEach(name => {
+        const value = computed.getPropertyValue(name);
+        if (value && value !== defaults[name]) target.style.setProperty(name, value);
+    });
+    target.removeAttribute('class');
+};
+
+// --- foreignObject labels to <text> ---
+// The browser has already wrapped the label, so the lines are read back from
+// the layout: every word is measured with a Range and words sharing a line box
+// become one <tspan>. Coordinates are mapped from the screen into the
+// foreignObject's user space through its inverse screen matrix.
+
+const toLocalRect = (rect, inverse) => {
+    const corners = [[rect.left, rect.top], [rect.right, rect.top], [rect.left, rect.bottom], [rect.right, rect.bottom]]
+        .map(([x, y]) => new DOMPoint(x, y).matrixTransform(inverse));
+    const xs = corners.map(p => p.x);
+    const ys = corners.map(p => p.y);
+    return { left: Math.min(...xs), right: Math.max(...xs), top: Math.min(...ys), bottom: Math.max(...ys) };
+};
+
+const measureLines = (textNode, inverse) => {
+    const lines = [];
+    const range = document.createRange();
+    const pattern = /\S+/g;
+    let match;
+    while ((match = pattern.exec(textNode.data)) !== null) {
+        range.setStart(textNode, match.index);
+        range.setEnd(textNode, match.index + match[0].length);
+        const rect = range.getBoundingClientRect();
+        if (rect.width === 0 && rect.height === 0) continue; // Not laid out (hidden)
+        const box = toLocalRect(rect, inverse);
+        const centerY = (box.top + box.bottom) / 2;
+        const line = lines.find(l => Math.abs(l.centerY - centerY) < (box.bottom - box.top) / 2);
+        if (line) {
+            line.words.push(match[0]);
+            line.left = Math.min(line.left, box.left);
+            line.right = Math.max(line.right, box.right);
+        } else {
+            lines.push({ words: [match[0]], centerY, left: box.left, right: box.right });
+        }
+    }
+    range.detach?.();
+    return lines.sort((a, b) => a.centerY - b.centerY);
+};
+
+const createTextElement = (lines, style, textAlign) => {
+    const text = document.createElementNS(SVG_NS, 'text');
+    const anchor = textAlign === 'center' ? 'middle' : (textAlign === 'right' || textAlign === 'end' ? 'end' : 'start');
+    const setIfPresent = (name, value) => { if (value) text.setAttribute(name, value); };
+    text.setAttribute('text-anchor', anchor);
+    setIfPresent('font-family', style.fontFamily);
+    setIfPresent('font-size', style.fontSize);
+    if (style.fontWeight !== '400' && style.fontWeight !== 'normal') setIfPresent('font-weight', style.fontWeight);
+    if (style.fontStyle !== 'normal') setIfPresent('font-style', style.fontStyle);
+    setIfPresent('fill', style.color);
+    lines.forEach(line => {
+        const tspan = document.createElementNS(SVG_NS, 'tspan');
+        const x = anchor === 'middle' ? (line.left + line.right) / 2 : (anchor === 'end' ? line.right : line.left);
+        tspan.setAttribute('x', x.toFixed(2));
+        tspan.setAttribute('y', line.centerY.toFixed(2));
+        tspan.setAttribute('dy', '.35em');
+        tspan.textContent = line.words.join(' ');
+        text.appendChild(tspan);
+    });
+    return text;
+};
+
+// Form fields keep their text in `value`, which is not part of the markup
+const formFieldLabel = (field, inverse) => {
+    const style = window.getComputedStyle(field);
+    const box = toLocalRect(field.getBoundingClientRect(), inverse);
+    const lines = (field.value || '').split('\n').filter(Boolean);
+    const lineHeight = parseFloat(style.fontSize) * 1.2 * ((box.bottom - box.top) / (field.getBoundingClientRect().height || 1));
+    const firstY = (box.top + box.bottom) / 2 - ((lines.length - 1) * lineHeight) / 2;
+    const left = box.left + parseFloat(style.paddingLeft || 0);
+    return createTextElement(
+        lines.map((line, index) => ({ words: [line], centerY: firstY + index * lineHeight, left, right: box.right })),
+        style,
+        style.textAlign === 'center' ? 'center' : 'left',
+    );
+};
+
+const replaceForeignObject = (source, target) => {
+    const group = document.createElementNS(SVG_NS, 'g');
+    const matrix = source.getScreenCTM();
+    if (matrix) {
+        const inverse = matrix.inverse();
+        source.querySelectorAll('input, textarea').forEach(field => group.appendChild(formFieldLabel(field, inverse)));
+        const walker = document.createTreeWalker(source, NodeFilter.SHOW_TEXT);
+        while (walker.nextNode()) {
+            const textNode = walker.currentNode;
+            const owner = textNode.parentElement;
+            if (!owner || owner.closest('textarea, input, style, script') || !textNode.data.trim()) continue;
+            const lines = measureLines(textNode, inverse);
+            if (lines.length === 0) continue;
+            const style = window.getComputedStyle(owner);
+            group.appendChild(createTextElement(lines, style, style.textAlign));
+        }
+    }
+    target.replaceWith(group);
+};
+
+// Walks source and clone side by side; the clone has the same shape until
+// this function changes it, and it only changes nodes it has already visited.
+const prepareClone = (source, target) => {
+    if (source.nodeType !== Node.ELEMENT_NODE) return;
+    if (source.getAttribute('data-export') === 'ignore' || source.tagName === 'style') {
+        target.remove();
+        return;
+    }
+    if (source.tagName === 'foreignObject') {
+        replaceForeignObject(source, target);
+        return;
+    }
+    inlineStyles(source, target);
+    // Editor semantics (focus, ARIA tree, node ids) mean nothing in a picture
+    Array.from(target.attributes)
+        .filter(attr => attr.name === 'tabindex' || attr.name === 'role' || attr.name.startsWith('aria-') || attr.name.startsWith('data-'))
+        .forEach(attr => target.removeAttribute(attr.name));
+    const sourceChildren = Array.from(source.childNodes);
+    const targetChildren = Array.from(target.childNodes);
+    sourceChildren.forEach((child, index) => prepareClone(child, targetChildren[index]));
+};
+
+// Bounds of `contentElement` (a direct child of `svg` without a transform),
+// in the svg's user units
+const getContentBounds = (contentElement) => {
+    const box = contentElement.getBBox();
+    return { x: box.x, y: box.y, width: box.width, height: box.height };
+};
+
+// Returns `{ svg: string, width, height }`. `background` null keeps it transparent.
+export function createSvgSnapshot(svg, contentElement, { padding = 20, background = '#ffffff' } = {}) {
+    const bounds = getContentBounds(contentElement);
+    const x = bounds.x - padding;
+    const y = bounds.y - padding;
+    const width = Math.ceil(bounds.width + padding * 2);
+    const height = Math.ceil(bounds.height + padding * 2);
+
+    const clone = svg.cloneNode(true);
+    Array.from(svg.childNodes).forEach((child, index) => prepareClone(child, clone.childNodes[index]));
+    clone.removeAttribute('style');
+    clone.removeAttribute('class');
+    clone.setAttribute('viewBox', `${x} ${y} ${width} ${height}`);
+    clone.setAttribute('width', width);
+    clone.setAttribute('height', height);
+    if (background) {
+        const rect = document.createElementNS(SVG_NS, 'rect');
+        rect.setAttribute('x', x);
+        rect.setAttribute('y', y);
+        rect.setAttribute('width', width);
+        rect.setAttribute('height', height);
+        rect.setAttribute('fill', background);
+        clone.insertBefore(rect, clone.firstChild);
+    }
+    const markup = new XMLSerializer().serializeToString(clone);
+    return { svg: `<?xml version="1.0" encoding="UTF-8"?>\n${markup}`, width, height };
+}
+
+// Draws an SVG snapshot onto a canvas and resolves to a PNG Blob.
+export function rasterizeSvg({ svg, width, height }, { scale = 2 } = {}) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml;charset=utf-8' }));
+        const image = new Image();
+        image.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(width * scale);
+            canvas.height = Math.round(height * scale);
+            const context = canvas.getContext('2d');
+            context.drawImage(image, 0, 0, canvas.width, canvas.height);
+            URL.revokeObjectURL(url);
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The image is too large to export as PNG.'))), 'image/png');
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('The map could not be drawn as an image.'));
+        };
+        image.src = url;
+    });
+}
@@ -0,0 +1,351 @@
+import { ROOT_ID, childIdPrefix } from './tree';
+import { validateTaskField } from './taskFields';
+
+// --- Flat task records ---
+// The planning pipeline produces a flat array of task records:
+//   { id, parentId, task, date, dailyStartTime, dailyHours, motivation, … }
+// Top-level tasks have `parentId: null` and hang off an implicit root node
+// named `rootText`. Records are linked by `parentId` alone, so `level` is the
+// real depth below the root whatever the id looks like. Other record
+// properties are copied onto the node as they are.
+//
+// Every problem found becomes a diagnostic:
+//   { severity: 'error' | 'warning', code, index, id, message }
+// `index` is the position of the record in the array (null for problems not
+// tied to one record) and `code` one of 'invalid-record', 'invalid-id',
+// 'duplicate-id', 'invalid-field', 'missing-parent' or 'cycle'. Warnings
+// describe a record that was repaired, errors one that did not make it into
+// the tree.
+//
+// `strictness` decides what happens to bad records:
+//   'reject'      no tree at all (`tree: null`) if anything is wrong
+//   'attach'      tasks whose parent is unknown, or that sit in a parent
+//                 cycle, go to the root; invalid fields are dropped
+//   'quarantine'  bad records, and everything below them, are left out
+// Records without a usable id and repeated ids are always left out. The
+// records that did not make it into the tree are returned in `quarantined`.
+export const STRICTNESS_LEVELS = [
+    { id: 'reject', label: 'Reject the data' },
+    { id: 'attach', label: 'Attach orphans to the root' },
+    { id: 'quarantine', label: 'Leave bad records out' },
+];
+
+// Record properties that are not copied onto the node as they are
+const STRUCTURE_FIELDS = ['id', 'parentId', 'task', 'level', 'children'];
+
+const describe = (value) => (value === undefined ? 'missing' : JSON.stringify(value));
+
+// Cycles of the parent links, each as the list of its entries
+const findCycles = (entries) => {
+    const checked = new Set();
+    const cycles = [];
+    entries.forEach(start => {
+        const path = [];
+        const onPath = new Set();
+        let entry = start;
+        while (entry && !checked.has(entry.id) && !onPath.has(entry.id)) {
+            path.push(entry);
+            onPath.add(entry.id);
+            entry = entry.parentId === null ? null : entries.get(entry.parentId);
+        }
+        if (entry && onPath.has(entry.id)) cycles.push(path.slice(path.indexOf(entry)));
+        path.forEach(e => checked.add(e.id));
+    });
+    return cycles;
+};
+
+// Returns `{ tree, diagnostics, quarantined }`.
+export function buildTreeFromFlatData(records, { rootText = 'Tasks', strictness = 'attach' } = {}) {
+    if (!STRICTNESS_LEVELS.some(level => level.id === strictness)) throw new Error(`Unknown strictness "${strictness}".`);
+    if (!Array.isArray(records)) throw new TypeError('Expected an array of task records.');
+    const diagnostics = [];
+    const report = (severity, code, { index = null, id = null }, message) => {
+        diagnostics.push({ severity: strictness === 'reject' ? 'error' : severity, code, index, id, message });
+    };
+
+    // --- Records ---
+    // Entries in record order: { index, id, parentId, text, fields, record }
+    const entries = new Map();
+    const seenIds = new Map([[ROOT_ID, null]]);
+    const leaveOut = (entry) => entries.delete(entry.id);
+    records.forEach((record, index) => {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            report('error', 'invalid-record', { index }, `Record ${index + 1} is not an object.`);
+            return;
+        }
+        const { id, parentId, task } = record;
+        if (typeof id !== 'string' || !id) {
+            report('error', 'invalid-id', { index }, `Record ${index + 1} needs a non-empty string "id", got ${describe(id)}.`);
+            return;
+        }
+        if (seenIds.has(id)) {
+            const first = seenIds.get(id);
+            report('error', 'duplicate-id', { index, id }, first === null
+                ? `"${id}" is the id of the root node; task "${id}" was left out.`
+                : `Duplicate id "${id}" (first used by record ${first + 1}); the repeat was left out.`);
+            return;
+        }
+        seenIds.set(id, index);
+
+        const fields = Object.fromEntries(Object.entries(record).filter(([name]) => !STRUCTURE_FIELDS.includes(name)));
+        const entry = { index, id, parentId, text: task, fields, record };
+        const problems = [];
+        if (typeof task !== 'string') problems.push(['task', `"task" must be a string, got ${describe(task)}.`]);
+        if (parentId !== null && typeof parentId !== 'string') problems.push(['parentId', `"parentId" must be a string or null, got ${describe(parentId)}.`]);
+        Object.entries(fields).forEach(([name, value]) => {
+            const message = validateTaskField(name, value);
+            if (message) problems.push([name, `"${name}" is ${describe(value)}. ${message}`]);
+        });
+
+        entries.set(id, entry);
+        if (problems.length === 0) return;
+        if (strictness === 'quarantine') {
+            problems.forEach(([, message]) => report('error', 'invalid-field', entry, `Task "${id}": ${message} The task was left out.`));
+            leaveOut(entry);
+            return;
+        }
+        problems.forEach(([name, message]) => {
+            if (strictness === 'reject') {
+                report('error', 'invalid-field', entry, `Task "${id}": ${message}`);
+            } else if (name === 'task') {
+                entry.text = '';
+                report('warning', 'invalid-field', entry, `Task "${id}": ${message} It was left empty.`);
+            } else if (name === 'parentId') {
+                entry.parentId = null;
+                report('warning', 'invalid-field', entry, `Task "${id}": ${message} It was attached to the root.`);
+            } else {
+                delete entry.fields[name];
+                report('warning', 'invalid-field', entry, `Task "${id}": ${message} The field was dropped.`);
+            }
+        });
+    });
+
+    // --- Parent links ---
+    // Leaving a record out can orphan its children, so repeat until nothing
+    // changes (only 'quarantine' removes anything here)
+    const reported = new Set();
+    let changed = true;
+    while (changed) {
+        changed = false;
+        entries.forEach(entry => {
+            if (entry.parentId === null || entries.has(entry.parentId) || reported.has(entry.id)) return;
+            const isLeftOut = typeof seenIds.get(entry.parentId) === 'number';
+            const reason = isLeftOut ? `Its parent "${entry.parentId}" was left out` : `It refers to the unknown parent "${entry.parentId}"`;
+            if (strictness === 'attach') {
+                report('warning', 'missing-parent', entry, `Task "${entry.id}": ${reason}; it was attached to the root.`);
+                entry.parentId = null;
+            } else if (strictness === 'quarantine') {
+                report('error', 'missing-parent', entry, `Task "${entry.id}": ${reason}; it was left out${isLeftOut ? ' too' : ''}.`);
+                leaveOut(entry);
+                changed = true;
+            } else {
+                report('error', 'missing-parent', entry, `Task "${entry.id}": ${reason}.`);
+                reported.add(entry.id);
+            }
+        });
+        findCycles(entries).forEach(cycle => {
+            const chain = [...cycle, cycle[0]].map(e => `"${e.id}"`).join(' → ');
+            if (strictness === 'attach') {
+                const first = cycle.reduce((a, b) => (b.index < a.index ? b : a));
+                report('warning', 'cycle', first, `Task "${first.id}" is part of a parent cycle (${chain}); it was attached to the root.`);
+                first.parentId = null;
+            } else if (strictness === 'quarantine') {
+                cycle.forEach(entry => report('error', 'cycle', entry, `Task "${entry.id}" is part of a parent cycle (${chain}); it was left out.`));
+                cycle.forEach(leaveOut);
+                changed = true;
+            } else {
+                cycle.filter(entry => !reported.has(entry.id)).forEach(entry => {
+                    report('error', 'cycle', entry, `Task "${entry.id}" is part of a parent cycle (${chain}).`);
+                    reported.add(entry.id);
+                });
+            }
+        });
+    }
+
+    diagnostics.sort((a, b) => (a.index ?? -1) - (b.index ?? -1));
+    if (strictness === 'reject' && diagnostics.length > 0) return { tree: null, diagnostics, quarantined: records.slice() };
+    const placed = new Set(Array.from(entries.values(), entry => entry.record));
+    const quarantined = records.filter(record => !placed.has(record));
+
+    // --- Tree ---
+    const root = { id: ROOT_ID, text: rootText, children: [] };
+    const nodes = new Map(Array.from(entries.values(), entry => [entry.id, { id: entry.id, text: entry.text, ...entry.fields, children: [] }]));
+    entries.forEach(entry => (entry.parentId === null ? root : nodes.get(entry.parentId)).children.push(nodes.get(entry.id)));
+    const setLevels = (node, level) => node.children.forEach(child => {
+        child.level = level;
+        setLevels(child, level + 1);
+    });
+    setLevels(root, 1);
+    return { tree: root, diagnostics, quarantined };
+}
+
+// --- Tree → flat task records ---
+// The inverse of `buildTreeFromFlatData`: one record per node below the root,
+// depth first, so siblings keep their order. `parentId` comes from the tree
+// (null for top-level tasks), `task` from the text, and every other node
+// field is kept as it is, e.g. fields of the original records or styles.
+//
+// With `renumber`, ids are rewritten to the `task-1.2.3` scheme of the new
+// hierarchy (see utils/tree.js), cross-links (see utils/links.js) included.
+// `idMap` maps every old id to the id its record was written with.
+const RECORD_FIELD_ORDER = ['id', 'parentId', 'date', 'dailyStartTime', 'dailyHours', 'task', 'motivation'];
+
+const renumberLinks = (links, idMap) => links.map(link => (link && idMap[link.targetId] ? { ...link, targetId: idMap[link.targetId] } : link));
+
+// Returns `{ records, idMap }`.
+export function buildFlatDataFromTree(tree, { renumber = false } = {}) {
+    const records = [];
+    const idMap = {};
+    const visit = (node, parentId) => (node.children || []).forEach((child, index) => {
+        const id = renumber ? `${childIdPrefix(parentId ?? ROOT_ID)}${index + 1}` : child.id;
+        idMap[child.id] = id;
+        const { id: _id, text, children: _children, level: _level, parentId: _parentId, task: _task, ...fields } = child;
+        const record = Object.fromEntries(RECORD_FIELD_ORDER.map(name => [name, fields[name]]));
+        Object.assign(record, { id, parentId, task: text ?? '' }, fields);
+        Object.keys(record).forEach(name => record[name] === undefined && delete record[name]);
+        records.push(record);
+        visit(child, id);
+    });
+    if (tree) visit(tree, null);
+    if (renumber) records.forEach(record => { if (Array.isArray(record.links)) record.links = renumberLinks(record.links, idMap); });
+    return { records, idMap };
+}
+
+// --- Diff between two record arrays ---
+// What the backend has to do to get from `before` to `after`, as a list of
+// steps to apply one after the other:
+//   { type: 'remove', id, record }                       deepest records first
+//   { type: 'renumber', id, newId }                      all of them at once
+//   { type: 'add', id, record, parentId, index }         parents before children
+//   { type: 'move', id, fromParentId, toParentId, fromIndex, toIndex }
+//   { type: 'rename', id, from, to }                     the `task` text changed
+//   { type: 'update', id, fields: { name: { from, to } } }
+// Pass the `idMap` of `buildFlatDataFromTree` when `after` was renumbered;
+// from the renumber steps on, ids are the new ones. Removing a record leaves
+// its children where they are; those that stay are moved later. Adds and
+// moves come parent by parent, in the sibling order of `after`. Their
+// indices are sibling positions at the time the step is applied: `fromIndex`
+// among the siblings the record leaves, `index` and `toIndex` where it is
+// inserted (after taking it out). Moves within one parent are kept to the
+// fewest records that have to change places.
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Longest common subsequence of two id lists, as a set
+const commonOrder = (a, b) => {
+    const lengths = a.map(() => new Array(b.length + 1).fill(0));
+    lengths.push(new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+    const kept = new Set();
+    for (let i = 0, j = 0; i < a.length && j < b.length;) {
+        if (a[i] === b[j]) { kept.add(a[i]); i++; j++; } else if (lengths[i + 1][j] >= lengths[i][j + 1]) i++; else j++;
+    }
+    return kept;
+};
+
+// The ids under each parent, in order
+const groupSiblings = (records) => {
+    const childIds = new Map();
+    records.forEach(record => childIds.set(record.parentId, [...(childIds.get(record.parentId) ?? []), record.id]));
+    return childIds;
+};
+
+// Depth of every record by id, following `parentId` (top-level tasks are 1)
+const recordDepths = (records) => {
+    const parents = new Map(records.map(record => [record.id, record.parentId]));
+    const depths = new Map();
+    const depthOf = (id, seen = new Set()) => {
+        if (depths.has(id)) return depths.get(id);
+        if (!parents.has(id) || seen.has(id)) return 0;
+        seen.add(id);
+        const depth = depthOf(parents.get(id), seen) + 1;
+        depths.set(id, depth);
+        return depth;
+    };
+    records.forEach(record => depthOf(record.id));
+    return depths;
+};
+
+export function diffFlatTasks(before, after, { idMap = {} } = {}) {
+    const newId = (id) => (id === null || id === undefined ? null : idMap[id] ?? id);
+    // `before` in terms of the new ids
+    const previous = new Map(before.map(record => [newId(record.id), {
+        ...record, id: newId(record.id), parentId: newId(record.parentId),
+        ...(Array.isArray(record.links) && { links: renumberLinks(record.links, idMap) }),
+    }]));
+    const current = new Map(after.map(record => [record.id, record]));
+    const steps = [];
+
+    // Children before parents, whatever the order of `before`
+    const depths = recordDepths(before);
+    before
+        .filter(record => !current.has(newId(record.id)))
+        .map((record, order) => ({ record, order }))
+        .sort((a, b) => depths.get(b.record.id) - depths.get(a.record.id) || b.order - a.order)
+        .forEach(({ record }) => steps.push({ type: 'remove', id: record.id, record }));
+    before.forEach(record => {
+        const id = newId(record.id);
+        if (id !== record.id && current.has(id)) steps.push({ type: 'renumber', id: record.id, newId: id });
+    });
+
+    const was = groupSiblings(Array.from(previous.values()).filter(record => current.has(record.id)));
+    const is = groupSiblings(after);
+
+    // Records that stayed with their parent only move if they left the
+    // common order of the siblings that stayed too
+    const kept = new Set();
+    is.forEach((ids, parentId) => {
+        const staying = ids.filter(id => previous.get(id)?.parentId === parentId);
+        const wasStaying = (was.get(parentId) ?? []).filter(id => current.get(id)?.parentId === parentId);
+        commonOrder(wasStaying, staying).forEach(id => kept.add(id));
+    });
+
+    // Adds and moves, replayed on the children lists after the removals:
+    // every record that isn't kept goes right after its previous sibling in
+    // `after`, so each parent ends up in order once its last child is placed
+    const siblings = new Map(Array.from(was, ([parentId, ids]) => [parentId, ids.slice()]));
+    const parentOf = new Map(Array.from(was, ([parentId, ids]) => ids.map(id => [id, parentId])).flat());
+    const childrenOf = (parentId) => {
+        if (!siblings.has(parentId)) siblings.set(parentId, []);
+        return siblings.get(parentId);
+    };
+    const place = (parentId) => (is.get(parentId) ?? []).forEach((id, position) => {
+        const record = current.get(id);
+        if (!kept.has(id)) {
+            const list = childrenOf(parentId);
+            const insertAt = () => (position === 0 ? 0 : list.indexOf(is.get(parentId)[position - 1]) + 1);
+            if (!previous.has(id)) {
+                const index = insertAt();
+                list.splice(index, 0, id);
+                steps.push({ type: 'add', id, record, parentId, index });
+            } else {
+                const fromParentId = parentOf.get(id);
+                const from = childrenOf(fromParentId);
+                const fromIndex = from.indexOf(id);
+                from.splice(fromIndex, 1);
+                const toIndex = insertAt();
+                list.splice(toIndex, 0, id);
+                steps.push({ type: 'move', id, fromParentId, toParentId: parentId, fromIndex, toIndex });
+            }
+            parentOf.set(id, parentId);
+        }
+        place(id);
+    });
+    place(null);
+
+    after.forEach(record => {
+        const old = previous.get(record.id);
+        if (!old) return;
+        if (old.task !== record.task) steps.push({ type: 'rename', id: record.id, from: old.task, to: record.task });
+        const fields = {};
+        new Set([...Object.keys(old), ...Object.keys(record)]).forEach(name => {
+            if (name === 'id' || name === 'parentId' || name === 'task' || sameValue(old[name], record[name])) return;
+            fields[name] = { from: old[name], to: record[name] };
+        });
+        if (Object.keys(fields).length > 0) steps.push({ type: 'update', id: record.id, fields });
+    });
+    return steps;
+}
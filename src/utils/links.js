@@ -0,0 +1,115 @@
+import { collectIds, findNode, mergePatch, updateNode } from './tree';
+import { LINK_TYPES } from './taskFields';
+
+// --- Cross-links ---
+// Typed links between any two nodes, across the parent/child relation. A
+// node keeps the links it starts in its `links` field (see
+// utils/taskFields.js): `{ targetId, type, label }` reads "this task depends
+// on / relates to `targetId`". Links to nodes that no longer exist are
+// ignored.
+export const DEFAULT_LINK_TYPE = 'depends-on';
+
+export const getLinkType = (id) => LINK_TYPES.find(type => type.id === id) ?? null;
+
+// Every usable link of `tree`, depth first:
+//   [{ sourceId, index, targetId, type, label }]
+// `index` is the position of the link in its source's `links`.
+export function collectLinks(tree) {
+    const links = [];
+    if (!tree) return links;
+    const ids = collectIds(tree);
+    const visit = (node) => {
+        (Array.isArray(node.links) ? node.links : []).forEach((link, index) => {
+            if (!link || link.targetId === node.id || !ids.has(link.targetId) || !getLinkType(link.type)) return;
+            links.push({ sourceId: node.id, index, targetId: link.targetId, type: link.type, label: link.label });
+        });
+        (node.children || []).forEach(visit);
+    };
+    visit(tree);
+    return links;
+}
+
+// Dependencies of every task with 'depends-on' links
+const getDependencies = (tree) => {
+    const dependencies = new Map();
+    collectLinks(tree).filter(link => link.type === 'depends-on').forEach(link => {
+        dependencies.set(link.sourceId, [...(dependencies.get(link.sourceId) ?? []), link.targetId]);
+    });
+    return dependencies;
+};
+
+// Cycles of the 'depends-on' links, each as the ids of its tasks in link order
+export function findDependencyCycles(tree) {
+    const dependencies = getDependencies(tree);
+    const done = new Set();
+    const cycles = [];
+    const path = [];
+    const visit = (id) => {
+        const onPath = path.indexOf(id);
+        if (onPath >= 0) { cycles.push(path.slice(onPath)); return; }
+        if (done.has(id)) return;
+        path.push(id);
+        (dependencies.get(id) ?? []).forEach(visit);
+        path.pop();
+        done.add(id);
+    };
+    dependencies.forEach((_, id) => visit(id));
+    return cycles;
+}
+
+// Whether `fromId` depends on `toId`, directly or through other tasks
+const dependsOn = (dependencies, fromId, toId) => {
+    const seen = new Set();
+    const stack = [fromId];
+    while (stack.length > 0) {
+        const id = stack.pop();
+        if (id === toId) return true;
+        if (seen.has(id)) continue;
+        seen.add(id);
+        stack.push(...(dependencies.get(id) ?? []));
+    }
+    return false;
+};
+
+// Why `sourceId` cannot get a link of `type` to `targetId`, or null
+export const getLinkRefusal = (tree, sourceId, targetId, type) => {
+    const source = findNode(tree, sourceId);
+    const target = findNode(tree, targetId);
+    if (!source || !target) return 'That task no longer exists.';
+    if (sourceId === targetId) return 'A task cannot be linked to itself.';
+    if (source.links?.some(link => link.targetId === targetId && link.type === type)) {
+        return `"${source.text}" already ${getLinkType(type).label.toLowerCase()} "${target.text}".`;
+    }
+    if (type === 'depends-on' && dependsOn(getDependencies(tree), targetId, sourceId)) {
+        return `"${target.text}" already depends on "${source.text}"; the dependencies would go round in a circle.`;
+    }
+    return null;
+};
+
+export const addLink = (tree, sourceId, { targetId, type = DEFAULT_LINK_TYPE, label }) => updateNode(tree, sourceId, node => ({
+    ...node, links: [...(node.links || []), label ? { targetId, type, label } : { targetId, type }],
+}));
+
+// Merges `patch` into the link at `index` of `sourceId`; an empty label removes it
+export const updateLink = (tree, sourceId, index, patch) => updateNode(tree, sourceId, node => mergePatch({
+    links: node.links.map((link, i) => (i === index ? mergePatch(patch)(link) : link)),
+})(node));
+
+export const removeLink = (tree, sourceId, index) => updateNode(tree, sourceId, node => mergePatch({
+    links: node.links.filter((_, i) => i !== index),
+})(node));
+
+// `tree` without the links that point at `ids` (a Set), e.g. deleted nodes.
+// Unchanged branches are returned as they are.
+export const removeLinksTo = (tree, ids) => {
+    const prune = (node) => {
+        const links = node.links?.filter(link => !ids.has(link?.targetId));
+        const children = node.children?.map(prune);
+        const linksChanged = links && links.length !== node.links.length;
+        const childrenChanged = children && children.some((child, i) => child !== node.children[i]);
+        if (!linksChanged && !childrenChanged) return node;
+        const next = mergePatch(linksChanged ? { links } : {})(node);
+        return childrenChanged ? { ...next, children } : next;
+    };
+    return tree ? prune(tree) : tree;
+};
@@ -0,0 +1,51 @@
+// --- Node Styles ---
+// Optional style fields stored on each node, next to `text` and `tags`:
+//   color       fill (the name predates the other fields)
+//   stroke      outline
+//   textColor
+//   shape       one of NODE_SHAPES; without it the layout's shape is used
+//   icon        emoji or short text shown before the node text
+//   fontWeight  'normal' | 'bold'
+export const NODE_STYLE_FIELDS = ['color', 'stroke', 'textColor', 'shape', 'icon', 'fontWeight'];
+
+export const NODE_SHAPES = [
+    { id: 'rounded', label: 'Rounded' },
+    { id: 'rect', label: 'Rectangle' },
+    { id: 'pill', label: 'Pill' },
+    { id: 'ellipse', label: 'Ellipse' },
+    { id: 'circle', label: 'Circle' },
+];
+
+// Shapes drawn as circles / ellipses rather than boxes
+export const isRoundShape = (shape) => shape === 'circle' || shape === 'ellipse';
+
+export const hasNodeStyle = (node) => Boolean(node) && NODE_STYLE_FIELDS.some(field => node[field] !== undefined);
+
+// What every node looks like under `theme`, by id:
+//   { fill, stroke, textColor, line, shape, icon, fontWeight }
+// The top-level branches take the theme's branch palette in turn (or keep
+// their own `color`), and their descendants inherit that fill unless they set
+// one. `line` is the color of the connector leading to the node. `shape` is
+// null when the node leaves it to the layout.
+export const resolveNodeStyles = (tree, theme) => {
+    const styles = new Map();
+    if (!tree) return styles;
+    const palette = theme.branches.length > 0 ? theme.branches : [{ fill: theme.root.fill, line: theme.nodeStroke }];
+    const visit = (node, branch) => {
+        styles.set(node.id, {
+            fill: node.color ?? branch?.fill ?? theme.root.fill,
+            stroke: node.stroke ?? theme.nodeStroke,
+            textColor: node.textColor ?? (branch ? theme.text : theme.root.text),
+            line: branch?.line ?? theme.nodeStroke,
+            shape: node.shape ?? null,
+            icon: node.icon ?? null,
+            fontWeight: node.fontWeight ?? 'normal',
+        });
+        (node.children || []).forEach((child, index) => {
+            const entry = palette[index % palette.length];
+            visit(child, branch ?? { fill: child.color ?? entry.fill, line: entry.line });
+        });
+    };
+    visit(tree, null);
+    return styles;
+};
@@ -0,0 +1,89 @@
+import { TASK_STATUSES } from './taskFields';
+
+// --- Progress ---
+// Where each task stands, from its `status` and `progress` fields (see
+// utils/taskFields.js). A task without children is as far as its `progress`
+// says, or 100% once it is done. A parent rolls up its children: their
+// average, weighted by `dailyHours` where they have some (1 otherwise). A
+// parent marked done is 100% whatever its children say.
+export const PROGRESS_STEP = 10;
+
+const weightOf = (node) => (typeof node.dailyHours === 'number' && node.dailyHours > 0 ? node.dailyHours : 1);
+const clampPercent = (value) => Math.min(100, Math.max(0, value));
+
+// Map<nodeId, { progress, isTracked, isFinished }>:
+//   progress    0 – 100
+//   isTracked   the task or one below it has a status or progress, so the
+//               views draw its progress
+//   isFinished  tracked and at 100%; "hide finished work" hides these
+export function computeProgress(tree) {
+    const result = new Map();
+    const visit = (node) => {
+        const children = node.children || [];
+        const rolled = children.map(child => ({ child, entry: visit(child) }));
+        let progress;
+        if (node.status === 'done') progress = 100;
+        else if (children.length === 0) progress = clampPercent(typeof node.progress === 'number' ? node.progress : 0);
+        else {
+            const total = rolled.reduce((sum, { child }) => sum + weightOf(child), 0);
+            progress = rolled.reduce((sum, { child, entry }) => sum + entry.progress * weightOf(child), 0) / total;
+        }
+        const isTracked = node.status !== undefined || node.progress !== undefined || rolled.some(({ entry }) => entry.isTracked);
+        const entry = { progress, isTracked, isFinished: isTracked && progress >= 100 };
+        result.set(node.id, entry);
+        return entry;
+    };
+    if (tree) visit(tree);
+    return result;
+}
+
+export const getStatus = (id) => TASK_STATUSES.find(status => status.id === id) ?? null;
+
+// Color of a status, from the signal colors of a theme (see themes/index.js)
+export const statusColor = (status, theme) => ({
+    done: theme.drop, blocked: theme.refused, 'in-progress': theme.accent,
+}[status] ?? theme.mutedText);
+
+// Patch for the next status in TASK_STATUSES (a task without one counts as
+// to do). Going back to "to do" clears the progress.
+export const cycleStatus = (node) => {
+    const index = Math.max(0, TASK_STATUSES.findIndex(status => status.id === node.status));
+    const next = TASK_STATUSES[(index + 1) % TASK_STATUSES.length].id;
+    return next === 'todo' ? { status: next, progress: null } : { status: next };
+};
+
+// Patch that sets a task's progress and keeps its status in line: 100% is
+// done, less than that is not, and a task to do that makes progress is in
+// progress.
+export const setProgress = (node, progress) => {
+    let status = node.status ?? null;
+    if (progress === 100) status = 'done';
+    else if (status === 'done' || ((status ?? 'todo') === 'todo' && progress > 0)) status = 'in-progress';
+    return { progress, status };
+};
+
+// Moves a task's progress by `delta` percent, to a multiple of it. Null when
+// it is already at the end of the scale.
+export const stepProgress = (node, delta) => {
+    const current = node.status === 'done' ? 100 : (typeof node.progress === 'number' ? node.progress : 0);
+    const progress = clampPercent(Math.round((current + delta) / PROGRESS_STEP) * PROGRESS_STEP);
+    return progress === current ? null : setProgress(node, progress);
+};
+
+// Sentence for the live regions after a status or progress edit of the task
+// named `text`, or null for other patches
+export const describeProgressPatch = (text, patch) => {
+    if ('progress' in patch && patch.progress !== null) return `"${text}" is ${patch.progress}% complete.`;
+    if ('status' in patch) return patch.status ? `"${text}" is ${getStatus(patch.status)?.label.toLowerCase()}.` : `"${text}" has no status.`;
+    return null;
+};
+
+// A view of `tree` without its finished tasks (and what is below them).
+// The root is always kept.
+export const withoutFinished = (tree, progress) => {
+    const prune = (node) => ({
+        ...node,
+        children: (node.children || []).filter(child => !progress.get(child.id)?.isFinished).map(prune),
+    });
+    return tree ? prune(tree) : tree;
+};
@@ -0,0 +1,138 @@
+import { MAX_DAILY_HOURS, dayFromDate, dateFromDay, formatHours, hoursFromTime } from './taskFields';
+import { findNode } from './tree';
+import { collectLinks, findDependencyCycles } from './links';
+
+// --- Schedule checks ---
+// Finds plans that cannot work out, from the planning fields of
+// utils/taskFields.js. Fields that are missing or invalid are skipped; the
+// detail panel already flags invalid ones.
+//   over-capacity  the `dailyHours` of all tasks on one date add up to more
+//                  than the daily capacity (an error past MAX_DAILY_HOURS)
+//   overlap        two tasks on one date whose `dailyStartTime` windows of
+//                  `dailyHours` overlap
+// A window that runs past midnight counts on the next date for the hours
+// after it, in both checks.
+//   outside-parent  a task that starts before its parent's date span or ends
+//                  after it. A task spans the days from its `date` to the day
+//                  its `dailyStartTime` window of `dailyHours` ends (just its
+//                  `date` without a start time); undated parents pass the
+//                  check on to theirs.
+//   before-dependency  a task dated before a task it depends on (see
+//                  utils/links.js)
+//   dependency-cycle   tasks that depend on each other in a circle (an error,
+//                  with a null `date`)
+//
+// `checkSchedule(tree, { dailyCapacity })` returns `{ problems, byNode }`:
+// problems `{ severity, code, date, nodeIds, message }` ordered by date,
+// undated ones first, and for every node involved the list of its problems.
+export const DEFAULT_DAILY_CAPACITY = 8;
+
+// 'HH:MM' on the clock, so 26.5 hours is 02:30 the next day
+const formatTime = (hours) => {
+    const minutes = Math.round(hours * 60) % (24 * 60);
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+};
+const hoursOf = (node) => (typeof node.dailyHours === 'number' && Number.isFinite(node.dailyHours) && node.dailyHours >= 0 ? node.dailyHours : null);
+// Last day of a task starting on `day`
+const lastDayOf = (node, day) => {
+    const start = hoursFromTime(node.dailyStartTime);
+    const hours = hoursOf(node);
+    return start === null || !hours ? day : day + Math.ceil((start + hours) / 24) - 1;
+};
+
+export function checkSchedule(tree, { dailyCapacity = DEFAULT_DAILY_CAPACITY } = {}) {
+    const problems = [];
+    // day -> [{ node, start, hours, window }]: what each task takes up of
+    // that day, `start` and `hours` of it null when not planned. A window
+    // past midnight goes on into the next day; `window` is the whole one.
+    const byDay = new Map();
+    const addToDay = (day, entry) => {
+        if (!byDay.has(day)) byDay.set(day, []);
+        byDay.get(day).push(entry);
+    };
+
+    const visit = (node, datedAncestor) => {
+        const day = dayFromDate(node.date);
+        if (day !== null) {
+            const start = hoursFromTime(node.dailyStartTime);
+            const hours = hoursOf(node);
+            if (start === null || hours === null || start + hours <= 24) {
+                addToDay(day, { node, start, hours, window: start !== null && hours !== null ? { start, end: start + hours } : null });
+            } else {
+                const window = { start, end: start + hours };
+                addToDay(day, { node, start, hours: 24 - start, window });
+                addToDay(day + 1, { node, start: 0, hours: start + hours - 24, window });
+            }
+            const parentDay = datedAncestor && dayFromDate(datedAncestor.date);
+            const lastDay = lastDayOf(node, day);
+            const parentLastDay = datedAncestor && lastDayOf(datedAncestor, parentDay);
+            const outsideParent = (message) => problems.push({
+                severity: 'warning', code: 'outside-parent', date: node.date, nodeIds: [node.id, datedAncestor.id], message,
+            });
+            if (datedAncestor && day < parentDay) {
+                outsideParent(`"${node.text}" is planned for ${node.date}, before "${datedAncestor.text}" starts on ${datedAncestor.date}.`);
+            } else if (datedAncestor && lastDay > parentLastDay) {
+                const when = lastDay === day ? `is planned for ${node.date}` : `runs until ${dateFromDay(lastDay)}`;
+                outsideParent(`"${node.text}" ${when}, after "${datedAncestor.text}" ends on ${dateFromDay(parentLastDay)}.`);
+            }
+        }
+        (node.children || []).forEach(child => visit(child, day !== null ? node : datedAncestor));
+    };
+    if (tree) visit(tree, null);
+
+    collectLinks(tree).filter(link => link.type === 'depends-on').forEach(link => {
+        const successor = findNode(tree, link.sourceId);
+        const dependency = findNode(tree, link.targetId);
+        const day = dayFromDate(successor.date);
+        if (day === null || dayFromDate(dependency.date) === null || day >= dayFromDate(dependency.date)) return;
+        problems.push({
+            severity: 'warning', code: 'before-dependency', date: successor.date, nodeIds: [successor.id, dependency.id],
+            message: `"${successor.text}" is planned for ${successor.date}, before "${dependency.text}" it depends on (${dependency.date}).`,
+        });
+    });
+    findDependencyCycles(tree).forEach(ids => {
+        const names = ids.map(id => `"${findNode(tree, id).text}"`);
+        problems.push({
+            severity: 'error', code: 'dependency-cycle', date: null, nodeIds: ids,
+            message: `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]} depend on each other in a circle, so none of them can start.`,
+        });
+    });
+
+    // Two tasks both running past midnight overlap on both days; report them once
+    const overlapping = new Set();
+    [...byDay.keys()].sort((a, b) => a - b).forEach(day => {
+        const entries = byDay.get(day);
+        const date = dateFromDay(day);
+        const planned = entries.filter(entry => entry.hours !== null);
+        const total = planned.reduce((sum, entry) => sum + entry.hours, 0);
+        if (total > dailyCapacity) {
+            problems.push({
+                severity: total > MAX_DAILY_HOURS ? 'error' : 'warning', code: 'over-capacity', date, nodeIds: planned.map(entry => entry.node.id),
+                message: `${date} has ${formatHours(total)} planned, ${formatHours(total - dailyCapacity)} over the daily capacity of ${formatHours(dailyCapacity)}: ${planned.map(entry => `"${entry.node.text}"`).join(', ')}.`,
+            });
+        }
+        // Each window against the ones starting at or after it
+        const windows = planned
+            .filter(w => w.start !== null && w.hours > 0)
+            .sort((a, b) => a.start - b.start);
+        windows.forEach((a, i) => windows.slice(i + 1).forEach(b => {
+            if (b.start >= a.start + a.hours) return;
+            const pair = [a.node.id, b.node.id].sort().join('\n');
+            if (overlapping.has(pair)) return;
+            overlapping.add(pair);
+            const describe = (w) => `${formatTime(w.window.start)}–${formatTime(w.window.end)}`;
+            problems.push({
+                severity: 'warning', code: 'overlap', date, nodeIds: [a.node.id, b.node.id],
+                message: `"${a.node.text}" (${describe(a)}) and "${b.node.text}" (${describe(b)}) overlap on ${date}.`,
+            });
+        }));
+    });
+
+    problems.sort((a, b) => (a.date ?? '').localeCompare(b.date ?? ''));
+    const byNode = new Map();
+    problems.forEach(problem => problem.nodeIds.forEach(id => {
+        if (!byNode.has(id)) byNode.set(id, []);
+        byNode.get(id).push(problem);
+    }));
+    return { problems, byNode };
+}
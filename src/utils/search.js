@@ -0,0 +1,34 @@
+// --- Node search ---
+// Case- and accent-insensitive substring search over the node text and the
+// task fields copied onto nodes from the flat task data.
+export const SEARCH_FIELDS = ['text', 'motivation', 'date'];
+
+const normalize = (value) => String(value).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+// Ids of the matching nodes in document order, including nodes inside
+// collapsed branches. An empty query matches nothing.
+export const findMatches = (tree, query, fields = SEARCH_FIELDS) => {
+    const needle = normalize(query.trim());
+    if (!tree || !needle) return [];
+    const matches = [];
+    const visit = (node) => {
+        if (fields.some(field => node[field] != null && normalize(node[field]).includes(needle))) matches.push(node.id);
+        (node.children || []).forEach(visit);
+    };
+    visit(tree);
+    return matches;
+};
+
+// A view of `tree` that keeps only the matching nodes and their ancestors.
+// Collapsed flags are dropped along the kept paths, so every match shows.
+// The root is always kept.
+export const filterTree = (tree, matchIds) => {
+    const wanted = new Set(matchIds);
+    const prune = (node) => {
+        const children = (node.children || []).map(prune).filter(Boolean);
+        if (!wanted.has(node.id) && children.length === 0) return null;
+        const { collapsed: _collapsed, ...rest } = node;
+        return { ...rest, children };
+    };
+    return prune(tree) ?? { ...tree, children: [] };
+};
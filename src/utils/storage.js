@@ -0,0 +1,184 @@
+// --- Document storage adapters ---
+// A storage adapter keeps whole mind-map documents and a list of their
+// metadata. Every adapter implements the same promise-based interface, so the
+// backing store can be swapped without touching the UI:
+//
+//   list()          -> Promise<Array<{ id, title, createdAt, updatedAt }>>
+//   read(id)        -> Promise<{ id, title, createdAt, updatedAt, tree } | null>
+//   write(document) -> Promise<void>   (creates or replaces)
+//   remove(id)      -> Promise<void>
+//
+// Failed operations reject with a StorageError. Its `code` is 'quota' when
+// the store is full, 'corrupted' for unreadable data and 'blocked' when
+// another tab holds the store, so callers can tell the user instead of
+// losing edits.
+
+export class StorageError extends Error {
+    constructor(message, { code = 'unknown', cause } = {}) {
+        super(message, { cause });
+        this.name = 'StorageError';
+        this.code = code;
+    }
+}
+
+const isQuotaError = (err) => err instanceof DOMException && (
+    err.name === 'QuotaExceededError' || err.name === 'NS_ERROR_DOM_QUOTA_REACHED' || err.code === 22 || err.code === 1014
+);
+
+const toStorageError = (err, action = 'save') => {
+    if (err instanceof StorageError) return err;
+    if (isQuotaError(err)) return new StorageError('Storage is full. Delete or export some maps to free up space.', { code: 'quota', cause: err });
+    return new StorageError(`Could not ${action}: ${err?.message || err}`, { cause: err });
+};
+
+export const toDocumentMeta = ({ id, title, createdAt, updatedAt }) => ({ id, title, createdAt, updatedAt });
+
+export const createDocumentId = () => (
+    globalThis.crypto?.randomUUID ? `map-${globalThis.crypto.randomUUID()}` : `map-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+);
+
+// --- localStorage adapter (default) ---
+export function createLocalStorageAdapter({ storage = globalThis.localStorage, prefix = 'react-mindmap' } = {}) {
+    const indexKey = `${prefix}:documents`;
+    const documentKey = (id) => `${prefix}:document:${id}`;
+
+    const readJson = (key, fallback) => {
+        const raw = storage.getItem(key);
+        if (raw === null) return fallback;
+        try {
+            return JSON.parse(raw);
+        } catch (err) {
+            throw new StorageError(`Stored data under "${key}" is corrupted.`, { code: 'corrupted', cause: err });
+        }
+    };
+    const writeJson = (key, value) => {
+        try {
+            storage.setItem(key, JSON.stringify(value));
+        } catch (err) {
+            throw toStorageError(err);
+        }
+    };
+
+    return {
+        async list() {
+            return readJson(indexKey, []);
+        },
+        async read(id) {
+            return readJson(documentKey(id), null);
+        },
+        async write(document) {
+            writeJson(documentKey(document.id), document);
+            const index = readJson(indexKey, []).filter(meta => meta.id !== document.id);
+            writeJson(indexKey, [...index, toDocumentMeta(document)]);
+        },
+        async remove(id) {
+            storage.removeItem(documentKey(id));
+            writeJson(indexKey, readJson(indexKey, []).filter(meta => meta.id !== id));
+        },
+    };
+}
+
+// --- In-memory adapter ---
+// Fallback when localStorage is unavailable (e.g. blocked by privacy settings).
+// Nothing survives a reload.
+export function createMemoryAdapter() {
+    const documents = new Map();
+    return {
+        async list() {
+            return [...documents.values()].map(toDocumentMeta);
+        },
+        async read(id) {
+            return documents.get(id) ?? null;
+        },
+        async write(document) {
+            documents.set(document.id, document);
+        },
+        async remove(id) {
+            documents.delete(id);
+        },
+    };
+}
+
+// --- IndexedDB adapter ---
+// For maps too large for the few megabytes localStorage allows. Its writes
+// finish asynchronously, so an autosave flushed while the tab closes may be
+// lost; that's why createDefaultAdapter still prefers localStorage.
+export function createIndexedDbAdapter({ indexedDB = globalThis.indexedDB, name = 'react-mindmap' } = {}) {
+    const STORE = 'documents';
+    let database = null;
+
+    const openDatabase = () => {
+        database ??= new Promise((resolve, reject) => {
+            const request = indexedDB.open(name, 1);
+            let hasFailed = false;
+            const fail = (error) => {
+                hasFailed = true;
+                database = null; // Let the next call try again
+                reject(error);
+            };
+            request.onupgradeneeded = () => request.result.createObjectStore(STORE, { keyPath: 'id' });
+            request.onsuccess = () => {
+                const db = request.result;
+                if (hasFailed) {
+                    db.close();
+                    return;
+                }
+                // Another tab upgrading the database waits for this connection
+                db.onversionchange = () => {
+                    db.close();
+                    database = null;
+                };
+                resolve(db);
+            };
+            request.onerror = () => fail(toStorageError(request.error, 'open the database'));
+            // The open only goes on once another tab lets go of the database;
+            // autosave shouldn't hang until then
+            request.onblocked = () => fail(new StorageError('The maps are in use in another tab. Close it and try again.', { code: 'blocked' }));
+        });
+        return database;
+    };
+    // Runs `operation(store)` in a transaction and resolves to the result of
+    // the request it returns once the transaction has committed. A failed
+    // request (or a full store) aborts the transaction.
+    const run = async (mode, operation, action) => {
+        const db = await openDatabase();
+        return new Promise((resolve, reject) => {
+            try {
+                // Both can throw right away, e.g. a DataCloneError for a
+                // document that can't be stored
+                const transaction = db.transaction(STORE, mode);
+                const request = operation(transaction.objectStore(STORE));
+                transaction.oncomplete = () => resolve(request.result);
+                transaction.onabort = () => reject(toStorageError(transaction.error, action));
+            } catch (err) {
+                reject(toStorageError(err, action));
+            }
+        });
+    };
+
+    return {
+        async list() {
+            return (await run('readonly', store => store.getAll(), 'read')).map(toDocumentMeta);
+        },
+        async read(id) {
+            return (await run('readonly', store => store.get(id), 'read')) ?? null;
+        },
+        async write(document) {
+            await run('readwrite', store => store.put(document), 'save');
+        },
+        async remove(id) {
+            await run('readwrite', store => store.delete(id), 'delete');
+        },
+    };
+}
+
+// localStorage when the browser allows it, memory otherwise. Merely reading
+// `localStorage` throws a SecurityError when storage is blocked.
+export function createDefaultAdapter() {
+    try {
+        if (globalThis.localStorage) return createLocalStorageAdapter();
+    } catch {
+        // Blocked storage: fall through to the memory adapter
+    }
+    return createMemoryAdapter();
+}
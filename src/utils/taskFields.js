@@ -0,0 +1,101 @@
+// --- Task Fields ---
+// Planning fields the flat task records carry, kept on each node next to
+// `text` (see formats/flatJson.js):
+//   date            day the task is planned for, 'YYYY-MM-DD'
+//   dailyStartTime  'HH:MM', 24-hour clock
+//   dailyHours      hours a day, a number from 0 to MAX_DAILY_HOURS
+//   motivation      free text
+//   status          one of TASK_STATUSES
+//   progress        percent complete, a number from 0 to 100
+//   links           [{ targetId, type, label }] cross-links to other tasks,
+//                   `type` one of LINK_TYPES, `label` optional text
+//   fields          custom { key: value } pairs, both strings
+// Progress is rolled up to parents in utils/progress.js, links are handled
+// in utils/links.js.
+export const MAX_DAILY_HOURS = 24;
+
+export const TASK_STATUSES = [
+    { id: 'todo', label: 'To do', symbol: '○' },
+    { id: 'in-progress', label: 'In progress', symbol: '◐' },
+    { id: 'blocked', label: 'Blocked', symbol: '⊘' },
+    { id: 'done', label: 'Done', symbol: '✓' },
+];
+
+// A task that depends on another must not be planned before it
+export const LINK_TYPES = [
+    { id: 'depends-on', label: 'Depends on' },
+    { id: 'relates-to', label: 'Relates to' },
+];
+
+export const TASK_FIELDS = [
+    { field: 'date', label: 'Date', input: 'date' },
+    { field: 'dailyStartTime', label: 'Start time', input: 'time' },
+    { field: 'dailyHours', label: 'Hours a day', input: 'number' },
+    { field: 'motivation', label: 'Motivation', input: 'multiline' },
+];
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const isCalendarDate = (value) => {
+    const match = DATE_PATTERN.exec(value);
+    if (!match) return false;
+    const [, year, month, day] = match.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+// Why `value` is not a valid `field`, or null. Missing values are valid.
+export const validateTaskField = (field, value) => {
+    if (value === undefined || value === null) return null;
+    switch (field) {
+        case 'date': return typeof value === 'string' && isCalendarDate(value) ? null : 'Use a date like 2025-08-01.';
+        case 'dailyStartTime': return typeof value === 'string' && TIME_PATTERN.test(value) ? null : 'Use a time like 09:30.';
+        case 'dailyHours': return typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= MAX_DAILY_HOURS
+            ? null : `Enter a number of hours from 0 to ${MAX_DAILY_HOURS}.`;
+        case 'motivation': return typeof value === 'string' ? null : 'Must be text.';
+        case 'status': return TASK_STATUSES.some(status => status.id === value) ? null : `Use one of ${TASK_STATUSES.map(status => status.id).join(', ')}.`;
+        case 'progress': return typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= 100 ? null : 'Enter a percentage from 0 to 100.';
+        case 'links': return Array.isArray(value) && value.every(link => link && typeof link.targetId === 'string'
+            && LINK_TYPES.some(type => type.id === link.type) && (link.label === undefined || typeof link.label === 'string'))
+            ? null : `Links must be { targetId, type, label } with a type of ${LINK_TYPES.map(type => type.id).join(', ')}.`;
+        case 'fields': return value && typeof value === 'object' && !Array.isArray(value) && Object.values(value).every(v => typeof v === 'string')
+            ? null : 'Custom fields must be text.';
+        default: return null;
+    }
+};
+
+// '6 h', '7.5 h'
+export const formatHours = (hours) => `${Number(hours.toFixed(2))} h`;
+
+// Hours typed into a field: a number, null for an empty field, or undefined
+// when the text is not a valid number of hours
+export const parseHours = (text) => {
+    if (text.trim() === '') return null;
+    const hours = Number(text);
+    return validateTaskField('dailyHours', hours) ? undefined : hours;
+};
+
+// --- Days and hours ---
+// Days are counted from 1970-01-01 in UTC, so date arithmetic ignores time
+// zones and daylight saving. A time of day is a fraction of its day.
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Day number of a 'YYYY-MM-DD' date, or null if it isn't one
+export const dayFromDate = (date) => {
+    if (typeof date !== 'string' || !isCalendarDate(date)) return null;
+    const [, year, month, day] = DATE_PATTERN.exec(date).map(Number);
+    return Date.UTC(year, month - 1, day) / DAY_MS;
+};
+
+export const dateFromDay = (day) => new Date(Math.floor(day) * DAY_MS).toISOString().slice(0, 10);
+
+// Hours since midnight of an 'HH:MM' time, or null if it isn't one
+export const hoursFromTime = (time) => {
+    if (typeof time !== 'string' || !TIME_PATTERN.test(time)) return null;
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours + minutes / 60;
+};
+
+// 0 for Monday to 6 for Sunday; day 0 was a Thursday
+export const weekdayOf = (day) => (((Math.floor(day) + 3) % 7) + 7) % 7;
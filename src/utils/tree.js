@@ -0,0 +1,222 @@
+// --- Tree helpers shared by the editors ---
+// All helpers treat the tree as immutable and return new objects for every
+// node on the path to a change, so React state updates stay cheap to detect.
+
+export const ROOT_ID = 'root';
+
+export const findNode = (node, id) => {
+    if (!node || !id) return null;
+    if (node.id === id) return node;
+    const children = node.children || [];
+    for (const child of children) {
+        const found = findNode(child, id);
+        if (found) return found;
+    }
+    return null;
+};
+
+// True if `potentialParentId` is `node` itself or lies somewhere below it.
+export const isDescendant = (node, potentialParentId) => {
+    if (!node) return false;
+    if (node.id === potentialParentId) return true;
+    const children = node.children || [];
+    for (const child of children) {
+        if (isDescendant(child, potentialParentId)) return true;
+    }
+    return false;
+};
+
+// Why the dragged nodes may not be dropped on `targetId`, or null if they
+// may. Dropping a node on itself is no move at all rather than a refusal.
+export const getDropRefusal = (draggedNodes, targetId) => {
+    if (!targetId || draggedNodes.some(n => n.id === targetId)) return null;
+    const container = draggedNodes.find(n => isDescendant(n, targetId));
+    if (container) return `"${container.text}" cannot be moved into its own branch.`;
+    return null;
+};
+
+export const findParent = (node, id) => {
+    if (!node) return null;
+    const children = node.children || [];
+    for (const child of children) {
+        if (child.id === id) return node;
+        const found = findParent(child, id);
+        if (found) return found;
+    }
+    return null;
+};
+
+// Parent id and sibling index of `id`, or null for the root and unknown ids.
+export const findLocation = (tree, id) => {
+    const parent = findParent(tree, id);
+    if (!parent) return null;
+    return { parentId: parent.id, index: parent.children.findIndex(c => c.id === id) };
+};
+
+export const collectIds = (node, ids = new Set()) => {
+    if (!node) return ids;
+    ids.add(node.id);
+    (node.children || []).forEach(child => collectIds(child, ids));
+    return ids;
+};
+
+export const countDescendants = (node) => (node.children || []).reduce((sum, child) => sum + 1 + countDescendants(child), 0);
+
+// Nodes from the root down to `id` (inclusive), or null if `id` is not in the tree.
+export const findPath = (node, id) => {
+    if (!node) return null;
+    if (node.id === id) return [node];
+    for (const child of node.children || []) {
+        const path = findPath(child, id);
+        if (path) return [node, ...path];
+    }
+    return null;
+};
+
+// Number of levels below `node` (0 for a leaf).
+export const getDepth = (node) => (node.children || []).reduce((max, child) => Math.max(max, 1 + getDepth(child)), 0);
+
+// --- Collapsing ---
+// A collapsed node keeps its children in the document but hides them from
+// layout and rendering. The flag is stored on the node itself so it is saved
+// and exported together with the map.
+export const visibleChildren = (node) => (node.collapsed ? [] : node.children || []);
+
+export const setCollapsed = (node, collapsed) => {
+    if (Boolean(node.collapsed) === collapsed) return node;
+    if (collapsed) return { ...node, collapsed: true };
+    const { collapsed: _removed, ...rest } = node;
+    return rest;
+};
+
+// True if any ancestor of `id` is collapsed.
+export const isHidden = (tree, id) => (findPath(tree, id) || []).slice(0, -1).some(n => n.collapsed);
+
+// Collapses every node with children at `level` levels below the root or
+// deeper, and expands everything above. `Infinity` expands the whole tree.
+// Untouched branches keep their identity, so a no-op returns `node` itself.
+export const collapseToLevel = (node, level, depth = 0) => {
+    const children = node.children || [];
+    if (children.length === 0) return node;
+    const nextChildren = children.map(child => collapseToLevel(child, level, depth + 1));
+    const childrenChanged = nextChildren.some((child, i) => child !== children[i]);
+    return setCollapsed(childrenChanged ? { ...node, children: nextChildren } : node, depth >= level);
+};
+
+export const expandAll = (node) => collapseToLevel(node, Infinity);
+
+// `patch` is either an object merged into the node, or an updater function
+// `node => nextNode`. An updater must return the whole node, not just the
+// changed fields: what it returns replaces the node (so it can also remove
+// properties).
+export const updateNode = (node, id, patch) => {
+    if (node.id === id) return typeof patch === 'function' ? patch(node) : { ...node, ...patch };
+    if (!node.children) return node;
+    return { ...node, children: node.children.map(child => updateNode(child, id, patch)) };
+};
+
+// Node updater for `updateNode` merging `patch`, where null, '' and [] remove
+// the property
+export const mergePatch = (patch) => (node) => {
+    const next = { ...node, ...patch };
+    Object.entries(patch).forEach(([key, val]) => {
+        if (val === null || val === '' || (Array.isArray(val) && val.length === 0)) delete next[key];
+    });
+    return next;
+};
+
+export const removeNode = (node, id) => {
+    if (!node.children) return node;
+    return { ...node, children: node.children.filter(c => c.id !== id).map(c => removeNode(c, id)) };
+};
+
+// Inserts `newNode` as a child of `parentId` at `index` (appends when omitted).
+export const insertNode = (node, parentId, newNode, index) => {
+    if (node.id === parentId) {
+        const children = [...(node.children || [])];
+        children.splice(index ?? children.length, 0, newNode);
+        return { ...node, children };
+    }
+    if (!node.children) return node;
+    return { ...node, children: node.children.map(c => insertNode(c, parentId, newNode, index)) };
+};
+
+// Moves `nodeId` into `targetId` (position 'inside', appended as last child)
+// or next to it ('before' / 'after'). Returns the tree unchanged when the move
+// is impossible (target inside the moved branch) or would not change anything.
+export const moveNode = (tree, nodeId, targetId, position = 'inside') => {
+    const node = findNode(tree, nodeId);
+    if (!node || isDescendant(node, targetId)) return tree;
+    const oldParent = findParent(tree, nodeId);
+    const oldIndex = oldParent ? oldParent.children.findIndex(c => c.id === nodeId) : -1;
+    const without = removeNode(tree, nodeId);
+
+    let parentId = targetId;
+    let index;
+    if (position === 'inside') {
+        index = (findNode(without, targetId)?.children || []).length;
+    } else {
+        const parent = findParent(without, targetId);
+        if (!parent) return tree;
+        parentId = parent.id;
+        index = parent.children.findIndex(c => c.id === targetId) + (position === 'after' ? 1 : 0);
+    }
+    if (oldParent && oldParent.id === parentId && oldIndex === index) return tree;
+    return insertNode(without, parentId, node, index);
+};
+
+// --- Multiple nodes ---
+
+// The ids of `ids` (any iterable) that have no ancestor in `ids`, in document
+// order. Unknown ids are dropped. Operations on a selection use these, since
+// a branch already carries its selected descendants along.
+export const topmostIds = (tree, ids) => {
+    const wanted = new Set(ids);
+    const result = [];
+    const visit = (node) => {
+        if (wanted.has(node.id)) { result.push(node.id); return; }
+        (node.children || []).forEach(visit);
+    };
+    if (tree) visit(tree);
+    return result;
+};
+
+// Moves several branches like `moveNode`, keeping their document order. The
+// tree is returned unchanged if any of them cannot go to the target.
+export const moveNodes = (tree, nodeIds, targetId, position = 'inside') => {
+    const ids = topmostIds(tree, nodeIds);
+    if (ids.some(id => isDescendant(findNode(tree, id), targetId))) return tree;
+    // 'after' inserts right behind the target each time, so go backwards
+    const ordered = position === 'after' ? [...ids].reverse() : ids;
+    return ordered.reduce((current, id) => moveNode(current, id, targetId, position), tree);
+};
+
+// --- Id generation ---
+// Ids follow the `task-1.2.3` scheme of the flat task data: children of the
+// root are `task-N`, everything else is `<parentId>.N`. N starts after the
+// highest number already used under that parent and skips any id that is
+// taken elsewhere in the tree.
+export const childIdPrefix = (parentId) => (parentId === ROOT_ID ? 'task-' : `${parentId}.`);
+
+export const nextChildId = (parent, takenIds) => {
+    const prefix = childIdPrefix(parent.id);
+    let n = (parent.children || []).reduce((max, child) => {
+        if (!child.id.startsWith(prefix)) return max;
+        const suffix = Number(child.id.slice(prefix.length));
+        return Number.isInteger(suffix) && suffix > max ? suffix : max;
+    }, 0) + 1;
+    while (takenIds.has(`${prefix}${n}`)) n++;
+    return `${prefix}${n}`;
+};
+
+// Deep-copies `node` under the fresh id `id`, renumbering the copied
+// descendants below it. `takenIds` is updated with every id handed out.
+export const cloneSubtree = (node, id, takenIds) => {
+    takenIds.add(id);
+    const copy = { ...node, id, children: [] };
+    (node.children || []).forEach(child => {
+        const childId = nextChildId(copy, takenIds);
+        copy.children.push(cloneSubtree(child, childId, takenIds));
+    });
+    return copy;
+};